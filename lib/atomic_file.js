@@ -0,0 +1,19 @@
+const fs = require('fs');
+const path = require('path');
+
+// Write to a temp file and rename it over the real one, so a crash never leaves half a file
+// on disk. The folder is created when missing.
+const writeFileAtomic = (file, content) => {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, file);
+};
+
+// space is passed on to JSON.stringify, 0 for compact files that are only read by us
+const writeJsonAtomic = (file, data, space = 2) => {
+    writeFileAtomic(file, JSON.stringify(data, null, space));
+};
+
+module.exports = { writeFileAtomic, writeJsonAtomic };
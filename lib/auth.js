@@ -0,0 +1,200 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Logins for the dashboard and tokens for the REST API / Socket.IO
+// auth.json (next to config.json, keep it private):
+// {
+//     "users": [
+//         { "username": "admin", "passwordHash": "scrypt$<salt>$<hash>", "role": "admin" },
+//         { "username": "staff", "password": "plain text also works", "role": "viewer" }
+//     ],
+//     "tokens": [{ "name": "zapier", "token": "long-random-string", "role": "admin" }]
+// }
+// Or from the environment: ADMIN_USERNAME + ADMIN_PASSWORD, VIEWER_USERNAME + VIEWER_PASSWORD,
+// API_TOKENS="token1:admin,token2:viewer"
+// Make a hash with: node -e "console.log(require('./lib/auth').hashPassword('secret'))"
+//
+// viewer: status, logs, rules and history (read only)
+// admin:  everything, including changing rules and linking the device
+
+const ROLES = ['viewer', 'admin'];
+const COOKIE_NAME = 'session';
+const SESSION_MS = 12 * 60 * 60 * 1000;
+const MAX_FAILURES = 5;              // failed logins per address...
+const FAILURE_WINDOW_MS = 15 * 60 * 1000; // ...within this window before we stop checking
+
+const hashPassword = (password, salt = crypto.randomBytes(16).toString('hex')) => {
+    const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+};
+
+// Compare digests so the time taken doesn't depend on where the strings differ
+const safeEqual = (a, b) => {
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+};
+
+const checkPassword = (user, password) => {
+    if (user.passwordHash) {
+        const [scheme, salt] = user.passwordHash.split('$');
+        return scheme === 'scrypt' && Boolean(salt) && safeEqual(hashPassword(password, salt), user.passwordHash);
+    }
+    return typeof user.password === 'string' && user.password !== '' && safeEqual(password, user.password);
+};
+
+const parseCookies = (header) => {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+        try {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (e) { /* malformed cookie, ignore it */ }
+    });
+    return cookies;
+};
+
+const loadCredentials = (file, env) => {
+    let users = [];
+    let tokens = [];
+
+    if (fs.existsSync(file)) {
+        try {
+            const data = JSON.parse(fs.readFileSync(file));
+            users = data.users || [];
+            tokens = data.tokens || [];
+        } catch (e) {
+            console.error('Error reading auth file', e);
+        }
+    }
+
+    if (env.ADMIN_USERNAME && env.ADMIN_PASSWORD) {
+        users.push({ username: env.ADMIN_USERNAME, password: env.ADMIN_PASSWORD, role: 'admin' });
+    }
+    if (env.VIEWER_USERNAME && env.VIEWER_PASSWORD) {
+        users.push({ username: env.VIEWER_USERNAME, password: env.VIEWER_PASSWORD, role: 'viewer' });
+    }
+    (env.API_TOKENS || '').split(',').map(t => t.trim()).filter(Boolean).forEach((entry, i) => {
+        const index = entry.lastIndexOf(':');
+        const role = index === -1 ? 'admin' : entry.slice(index + 1);
+        tokens.push({ name: `env-${i + 1}`, token: index === -1 ? entry : entry.slice(0, index), role });
+    });
+
+    const valid = (entry, kind) => {
+        if (!ROLES.includes(entry.role)) {
+            console.error(`Ignoring ${kind} "${entry.username || entry.name}": role must be one of ${ROLES.join(', ')}`);
+            return false;
+        }
+        return true;
+    };
+    return {
+        users: users.filter(u => u.username && valid(u, 'user')),
+        tokens: tokens.filter(t => t.token && valid(t, 'token'))
+    };
+};
+
+// options = { file, env, log: (message) => void }
+const createAuth = (options) => {
+    const env = options.env || process.env;
+    const { users, tokens } = loadCredentials(options.file, env);
+    const sessions = new Map(); // token -> { username, role, expiresAt }
+    const failures = new Map(); // address -> [timestamps]
+
+    // Never run wide open: with nothing configured, create an admin and print its password once
+    if (users.length === 0 && tokens.length === 0) {
+        const password = crypto.randomBytes(9).toString('base64url');
+        const admin = { username: 'admin', passwordHash: hashPassword(password), role: 'admin' };
+        users.push(admin);
+        try {
+            fs.writeFileSync(options.file, JSON.stringify({ users: [admin], tokens: [] }, null, 2), { mode: 0o600 });
+        } catch (e) {
+            console.error('Error writing auth file', e);
+        }
+        options.log(`No users configured. Created "admin" with password: ${password} (change it in ${options.file})`);
+    }
+
+    const isLockedOut = (address) => {
+        const now = Date.now();
+        const recent = (failures.get(address) || []).filter(t => now - t < FAILURE_WINDOW_MS);
+        failures.set(address, recent);
+        return recent.length >= MAX_FAILURES;
+    };
+
+    // Returns { token, username, role, expiresAt }, or null for a wrong username/password.
+    // Throws with err.status = 429 after too many failures from the same address.
+    const login = (username, password, address) => {
+        if (isLockedOut(address)) {
+            const err = new Error('Too many failed logins, try again later');
+            err.status = 429;
+            throw err;
+        }
+
+        const user = users.find(u => u.username === username);
+        if (!user || !checkPassword(user, password)) {
+            failures.get(address).push(Date.now());
+            return null;
+        }
+        failures.delete(address);
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const session = { username: user.username, role: user.role, expiresAt: Date.now() + SESSION_MS };
+        sessions.set(token, session);
+        return { token, ...session };
+    };
+
+    const logout = (token) => sessions.delete(token);
+
+    // Session or API token -> { name, role, session }, or null
+    const authenticate = (token) => {
+        if (!token) return null;
+
+        const session = sessions.get(token);
+        if (session) {
+            if (session.expiresAt > Date.now()) return { name: session.username, role: session.role, session: token };
+            sessions.delete(token);
+            return null;
+        }
+
+        const apiToken = tokens.find(t => safeEqual(t.token, token));
+        return apiToken ? { name: apiToken.name, role: apiToken.role } : null;
+    };
+
+    // Bearer header first, then the dashboard's session cookie
+    const getToken = (headers, explicitToken) => {
+        const match = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+        if (match) return match[1].trim();
+        if (explicitToken) return explicitToken;
+        return parseCookies(headers.cookie)[COOKIE_NAME] || null;
+    };
+
+    const fromRequest = (req) => authenticate(getToken(req.headers));
+
+    // Express middleware: any logged in user, or at least `role`
+    const requireRole = (role = 'viewer') => (req, res, next) => {
+        const user = fromRequest(req);
+        if (!user) return res.status(401).json({ error: 'Login required' });
+        if (ROLES.indexOf(user.role) < ROLES.indexOf(role)) {
+            return res.status(403).json({ error: `This needs the ${role} role` });
+        }
+        req.user = user;
+        next();
+    };
+
+    const sessionCookie = (token, secure) => {
+        const parts = [`${COOKIE_NAME}=${token}`, 'Path=/', 'HttpOnly', 'SameSite=Strict', `Max-Age=${token ? SESSION_MS / 1000 : 0}`];
+        if (secure) parts.push('Secure');
+        return parts.join('; ');
+    };
+
+    return {
+        login,
+        logout,
+        authenticate,
+        getToken,
+        fromRequest,
+        requireRole,
+        sessionCookie
+    };
+};
+
+module.exports = { createAuth, hashPassword, ROLES };
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+
+// Backfills: replay past messages of a rule's source into (some of) its targets
+// plan() turns the history into delivery jobs up front. They are then handed to the delivery
+// queue one at a time, each after the previous one left the queue and at least `interval`
+// later, so a long backfill never crowds out live messages to the same targets.
+// Backfills live in memory: a restart stops them (jobs already queued still go out).
+//
+// backfill = {
+//     id, rule, targets, since, until, limit,
+//     status: 'fetching' | 'running' | 'done' | 'cancelled' | 'failed',
+//     found,          // messages in the requested range
+//     skipped,        // messages the rule doesn't forward (type, filters, hop limit)
+//     alreadySent,    // deliveries dropped because the target already has the message
+//     total, done, failed,
+//     error, startedAt, finishedAt
+// }
+//
+// options = {
+//     plan: async (backfill) => [job],   // fills in found/skipped/alreadySent, jobs in send order
+//     enqueue: (job) => queued job,
+//     getJob: (id) => queued job, undefined once it left the queue,
+//     discard: (id),
+//     getIntervalMs: () => number,
+//     onChange: (backfills),
+//     onFailed: (backfill)              // plan() threw, backfill.error says why
+// }
+
+const KEEP_FINISHED = 20;
+
+const createBackfills = (options) => {
+    let backfills = [];
+    const pending = new Map(); // backfill ID -> { jobs, current, nextAt }
+    let timer = null;
+
+    const list = () => backfills.map(b => ({ ...b }));
+
+    const changed = () => {
+        const finished = backfills.filter(b => b.finishedAt);
+        if (finished.length > KEEP_FINISHED) {
+            const drop = new Set(finished.slice(0, finished.length - KEEP_FINISHED));
+            backfills = backfills.filter(b => !drop.has(b));
+        }
+        if (options.onChange) options.onChange(list());
+    };
+
+    const finish = (backfill, status, error) => {
+        backfill.status = status;
+        backfill.error = error;
+        backfill.finishedAt = Date.now();
+        pending.delete(backfill.id);
+    };
+
+    const schedule = (delay) => {
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(() => {
+            timer = null;
+            step();
+        }, Math.max(0, delay));
+    };
+
+    // Move every running backfill along as far as it can go right now
+    const step = () => {
+        let dirty = false;
+        let wakeAt = Infinity;
+        const now = Date.now();
+
+        for (const backfill of backfills.filter(b => b.status === 'running')) {
+            const state = pending.get(backfill.id);
+
+            if (state.current) {
+                const job = options.getJob(state.current);
+                if (job && job.status !== 'failed') continue; // still on its way, the queue kicks us when it's done
+                if (job) backfill.failed++;
+                backfill.done++;
+                state.current = null;
+                dirty = true;
+            }
+
+            if (state.jobs.length === 0) {
+                finish(backfill, 'done');
+                dirty = true;
+                continue;
+            }
+
+            if (now < state.nextAt) {
+                wakeAt = Math.min(wakeAt, state.nextAt);
+                continue;
+            }
+
+            state.current = options.enqueue(state.jobs.shift()).id;
+            state.nextAt = now + options.getIntervalMs();
+            dirty = true;
+        }
+
+        if (wakeAt !== Infinity) schedule(wakeAt - now);
+        if (dirty) changed();
+    };
+
+    // params = { rule, targets, since, until, limit }, returns the new backfill
+    const start = (params) => {
+        const backfill = {
+            id: `backfill_${crypto.randomBytes(4).toString('hex')}`,
+            ...params,
+            status: 'fetching',
+            found: 0,
+            skipped: 0,
+            alreadySent: 0,
+            total: 0,
+            done: 0,
+            failed: 0,
+            startedAt: Date.now()
+        };
+        backfills.push(backfill);
+        changed();
+
+        options.plan(backfill).then(jobs => {
+            if (backfill.status !== 'fetching') return; // cancelled meanwhile
+            backfill.status = 'running';
+            backfill.total = jobs.length;
+            pending.set(backfill.id, { jobs: jobs.map(job => ({ ...job, backfill: backfill.id })), current: null, nextAt: 0 });
+            changed();
+            step();
+        }).catch(e => {
+            if (backfill.status !== 'fetching') return;
+            finish(backfill, 'failed', e.message);
+            if (options.onFailed) options.onFailed(backfill);
+            changed();
+        });
+
+        return { ...backfill };
+    };
+
+    // Stops feeding the queue and takes back the job it's waiting on, unless that's being sent right now
+    const cancel = (id) => {
+        const backfill = backfills.find(b => b.id === id);
+        if (!backfill || backfill.finishedAt) return null;
+        const state = pending.get(id);
+        if (state && state.current) options.discard(state.current);
+        finish(backfill, 'cancelled');
+        changed();
+        return { ...backfill };
+    };
+
+    return {
+        start,
+        cancel,
+        list,
+        kick: () => schedule(0)
+    };
+};
+
+module.exports = { createBackfills };
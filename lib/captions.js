@@ -0,0 +1,126 @@
+// Caption templating and rewriting
+// rule.caption = {
+//     template: '{caption}\n\n📢 {sourceGroup} · {senderName}',  // placeholders: {caption} {sender} {senderName} {sourceGroup} {time}
+//     stripUrls: true,
+//     stripPhones: true,
+//     replace: [{ find: 'Old Shop', replace: 'New Shop' }],      // find may be /regex/flags
+//     prefix: '', suffix: '',
+//     onFallback: 'forward'                                      // or 'skip' when the text was rewritten
+// }
+
+// Links: anything starting with http(s):// or www., domain/path, or a bare domain ending in one of
+// the common TLDs below (a list, so "file.txt" or "Mr.Smith" stay). Email addresses are kept.
+const BARE_DOMAIN_TLDS = 'com|net|org|info|biz|io|co|app|dev|xyz|shop|store|online|site|link|ly|gl|in|uk|de|fr|nl|br|ru|pk|bd|ng|ke|za|au|ca';
+const URL_PATTERN = new RegExp('\\b(?:https?:\\/\\/|www\\.)\\S+|\\b[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.[a-z]{2,}\\/\\S*' +
+    `|(?<![@\\w.-])(?:[a-z0-9-]+\\.)+(?:${BARE_DOMAIN_TLDS})\\b(?![@\\w-]|\\.\\w)`, 'gi');
+
+// Phone numbers: digits with spaces, dashes, dots or brackets, not glued to other words or numbers.
+// A number counts when it starts with + (8-15 digits), or has 9-12 digits in groups of 2-5
+// ("98765 43210", "(555) 123-4567"). A bare run of digits counts after a word like "Ph:" or
+// "Call" (10-12 digits), or when it looks like an Indian mobile ("9876543210", "919747491440").
+// So prices, dates, times and order numbers stay:
+// "10.000.000", "2024-05-01 10:30", "#12345678", "Order 1234567890", "Rs. 9999999999".
+const PHONE_CANDIDATE = /(?<![\w#/+]|\d[.,:])\+?\(?\d[\d ().-]{5,}\d(?![\w:/]|[.,]\d)/g;
+const CONTACT_WORD_BEFORE = /\b(?:call|ph|phone|tel|mob|mobile|whats ?app|wa|contact)(?:\s*(?:no|num|number))?\b[\s.:-]*(?:(?:me|us)\s+)?(?:(?:on|at)\s+)?$/i;
+const NOT_PHONE_BEFORE = /(?:\b(?:order|invoice|inv|ref|id|no|txn|rs|inr|usd)|[₹$€£])[\s.:-]*$/i;
+const MOBILE_NUMBER = /^(?:0|91)?[6-9]\d{9}$/;
+
+// `before` is the text leading up to the candidate
+const isPhoneNumber = (candidate, before) => {
+    const digits = candidate.replace(/\D/g, '');
+    if (candidate.startsWith('+')) return digits.length >= 8 && digits.length <= 15;
+    if (/^\d+$/.test(candidate)) {
+        if (CONTACT_WORD_BEFORE.test(before)) return digits.length >= 10 && digits.length <= 12;
+        return !NOT_PHONE_BEFORE.test(before) && MOBILE_NUMBER.test(candidate);
+    }
+    if (candidate.includes('.') || digits.length < 9 || digits.length > 12) return false;
+    const groups = candidate.split(/[ ()-]+/).filter(Boolean);
+    return groups.length >= 2 && groups.every(group => group.length >= 2 && group.length <= 5);
+};
+
+const toRegex = (find) => {
+    const match = /^\/(.+)\/([gimsuy]*)$/.exec(find);
+    if (match) {
+        const flags = match[2].includes('g') ? match[2] : match[2] + 'g';
+        return new RegExp(match[1], flags);
+    }
+    return new RegExp(find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
+};
+
+// Collapse the gaps left behind by stripped links/numbers
+const tidy = (text) => text
+    .split('\n')
+    .map(line => line.replace(/[ \t]{2,}/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const rewriteText = (text, opts, log) => {
+    let result = text || '';
+
+    if (opts.stripUrls) result = result.replace(URL_PATTERN, '');
+    if (opts.stripPhones) {
+        result = result.replace(PHONE_CANDIDATE, (match, offset, text) => isPhoneNumber(match, text.slice(Math.max(0, offset - 30), offset)) ? '' : match);
+    }
+
+    for (const pair of opts.replace || []) {
+        if (!pair || !pair.find) continue;
+        try {
+            result = result.replace(toRegex(pair.find), pair.replace || '');
+        } catch (e) {
+            log(`Invalid replace pattern ${pair.find}: ${e.message}`);
+        }
+    }
+
+    return opts.stripUrls || opts.stripPhones ? tidy(result) : result;
+};
+
+const fillTemplate = (template, values) => {
+    return template.replace(/\{(caption|sender|senderName|sourceGroup|time)\}/g, (_, key) => values[key] || '');
+};
+
+// context = { sender, senderName, sourceGroup, time }, log = (message) => void for rules with a broken regex
+const buildCaption = (opts, original, context, log) => {
+    if (!opts) return original || '';
+
+    let text = rewriteText(original, opts, log);
+
+    if (opts.template) {
+        text = fillTemplate(opts.template, { ...context, caption: text }).trim();
+    }
+    if (opts.prefix) text = opts.prefix + text;
+    if (opts.suffix) text = text + opts.suffix;
+
+    return text;
+};
+
+// Throws when a replace /regex/ doesn't compile
+const normalizeCaption = (input) => {
+    if (!input || typeof input !== 'object') return undefined;
+
+    const opts = {};
+    if (typeof input.template === 'string' && input.template.trim()) opts.template = input.template;
+    if (input.stripUrls) opts.stripUrls = true;
+    if (input.stripPhones) opts.stripPhones = true;
+    if (Array.isArray(input.replace)) {
+        const pairs = input.replace
+            .filter(p => p && typeof p.find === 'string' && p.find)
+            .map(p => ({ find: p.find, replace: String(p.replace || '') }));
+        for (const pair of pairs) {
+            try {
+                toRegex(pair.find);
+            } catch (e) {
+                throw new Error(`replace pattern ${pair.find} is not a valid regex (${e.message})`);
+            }
+        }
+        if (pairs.length > 0) opts.replace = pairs;
+    }
+    if (typeof input.prefix === 'string' && input.prefix) opts.prefix = input.prefix;
+    if (typeof input.suffix === 'string' && input.suffix) opts.suffix = input.suffix;
+
+    if (Object.keys(opts).length === 0) return undefined;
+    opts.onFallback = input.onFallback === 'skip' ? 'skip' : 'forward';
+    return opts;
+};
+
+module.exports = { buildCaption, normalizeCaption };
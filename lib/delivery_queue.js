@@ -0,0 +1,230 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { writeJsonAtomic } = require('./atomic_file');
+
+// Disk-backed delivery queue
+// Every (message, target) pair is a job. Jobs for the same target go out in the
+// order they were queued, failed attempts back off exponentially, and sends are
+// spaced out per target and per sending account so a burst doesn't get a number flagged.
+// Jobs sharing an albumId stay next to each other in their target's line and go out
+// back to back (only the per-account spacing applies between them).
+//
+// options = {
+//     file,                  // where jobs are persisted
+//     deliver: async (job),  // does the actual send, throws on failure (err.permanent = no retry)
+//     isReady: (job) => bool, // false while the job's WhatsApp account is disconnected
+//     getSettings: () => ({ maxAttempts, retryBaseSeconds, retryMaxSeconds, targetIntervalSeconds, globalIntervalSeconds, sendJitterSeconds }),
+//     onChange: (summary),   // called whenever the queue changes
+//     onFailed: (job),       // called when a job gives up for good
+//     log: (message, error)  // read errors
+// }
+const createDeliveryQueue = (options) => {
+    let jobs = [];
+    let timer = null;
+    let running = false;
+    let current = Promise.resolve(); // the run in progress, if any
+    let stopped = false;
+    const lastAccountSend = new Map();
+    const lastTargetSend = new Map();
+    const lastTargetAlbum = new Map(); // lane -> albumId of the job sent last
+
+    // Jobs without targetAccount predate multiple accounts and belong to the default one
+    const accountOf = (job) => job.targetAccount || '';
+    const laneOf = (job) => `${accountOf(job)}|${job.targetId}`;
+
+    const load = () => {
+        if (!fs.existsSync(options.file)) return;
+        try {
+            jobs = JSON.parse(fs.readFileSync(options.file));
+            // A job that was mid-send when we stopped is simply tried again
+            jobs.forEach(job => { if (job.status === 'sending') job.status = 'pending'; });
+        } catch (e) {
+            options.log('Error reading delivery queue', e);
+            jobs = [];
+        }
+    };
+
+    const save = () => {
+        writeJsonAtomic(options.file, jobs);
+    };
+
+    const summary = () => ({
+        pending: jobs.filter(j => j.status !== 'failed').length,
+        failed: jobs.filter(j => j.status === 'failed')
+    });
+
+    const changed = () => {
+        save();
+        if (options.onChange) options.onChange(summary());
+    };
+
+    const jitter = (seconds) => Math.random() * seconds * 1000;
+
+    // Earliest time the job may be sent, taking backoff and rate limits into account
+    const readyAt = (job, settings) => {
+        const sameAlbum = job.albumId && lastTargetAlbum.get(laneOf(job)) === job.albumId;
+        const lastTarget = sameAlbum ? 0 : lastTargetSend.get(laneOf(job)) || 0;
+        const lastAccount = lastAccountSend.get(accountOf(job)) || 0;
+        return Math.max(
+            job.nextAttemptAt || 0,
+            lastTarget + settings.targetIntervalSeconds * 1000 + (job.jitter || 0),
+            lastAccount + settings.globalIntervalSeconds * 1000
+        );
+    };
+
+    // The head of each target's line; later jobs wait behind it to keep order
+    const heads = () => {
+        const seen = new Set();
+        const result = [];
+        for (const job of jobs) {
+            if (job.status === 'failed' || seen.has(laneOf(job))) continue;
+            seen.add(laneOf(job));
+            result.push(job);
+        }
+        return result;
+    };
+
+    const schedule = (delay) => {
+        if (timer) clearTimeout(timer);
+        if (stopped) return;
+        timer = setTimeout(() => {
+            timer = null;
+            if (!running) current = run();
+        }, Math.max(0, delay));
+    };
+
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            while (!stopped) {
+                const settings = options.getSettings();
+                const lines = heads();
+                if (lines.length === 0) return;
+
+                const candidates = lines.filter(job => options.isReady(job));
+                if (candidates.length === 0) {
+                    // Check back later, deliveries resume once reconnected
+                    schedule(5000);
+                    return;
+                }
+
+                const now = Date.now();
+                let next = candidates[0];
+                for (const job of candidates) {
+                    if (readyAt(job, settings) < readyAt(next, settings)) next = job;
+                }
+
+                const wait = readyAt(next, settings) - now;
+                if (wait > 0) {
+                    schedule(wait);
+                    return;
+                }
+
+                await attempt(next, settings);
+            }
+        } finally {
+            running = false;
+        }
+    };
+
+    const attempt = async (job, settings) => {
+        job.status = 'sending';
+        job.attempts = (job.attempts || 0) + 1;
+        job.lastAttemptAt = Date.now();
+        save();
+
+        try {
+            await options.deliver(job);
+            jobs = jobs.filter(j => j !== job);
+        } catch (e) {
+            job.lastError = e.message;
+            if (e.permanent || job.attempts >= settings.maxAttempts) {
+                job.status = 'failed';
+                if (options.onFailed) options.onFailed(job);
+            } else {
+                const delay = Math.min(
+                    settings.retryBaseSeconds * Math.pow(2, job.attempts - 1),
+                    settings.retryMaxSeconds
+                ) * 1000;
+                job.status = 'pending';
+                job.nextAttemptAt = Date.now() + delay + jitter(settings.sendJitterSeconds);
+            }
+        }
+
+        const now = Date.now();
+        lastAccountSend.set(accountOf(job), now);
+        lastTargetSend.set(laneOf(job), now);
+        lastTargetAlbum.set(laneOf(job), job.albumId);
+        job.jitter = jitter(settings.sendJitterSeconds);
+        changed();
+    };
+
+    const enqueue = (data) => {
+        const settings = options.getSettings();
+        const job = {
+            ...data,
+            id: crypto.randomUUID(),
+            status: 'pending',
+            attempts: 0,
+            createdAt: Date.now(),
+            jitter: jitter(settings.sendJitterSeconds)
+        };
+        // Right behind the rest of its album, ahead of anything queued for the target meanwhile
+        const albumIndex = job.albumId ? jobs.findLastIndex(j => j.albumId === job.albumId && laneOf(j) === laneOf(job)) : -1;
+        if (albumIndex === -1) {
+            jobs.push(job);
+        } else {
+            jobs.splice(albumIndex + 1, 0, job);
+        }
+        changed();
+        schedule(0);
+        return job;
+    };
+
+    const retry = (id) => {
+        const job = jobs.find(j => j.id === id && j.status === 'failed');
+        if (!job) return false;
+        // Back of the line, behind anything queued for the target since
+        jobs = jobs.filter(j => j !== job);
+        Object.assign(job, { status: 'pending', attempts: 0, nextAttemptAt: 0 });
+        jobs.push(job);
+        changed();
+        schedule(0);
+        return true;
+    };
+
+    const discard = (id) => {
+        const job = jobs.find(j => j.id === id && j.status !== 'sending');
+        if (!job) return null;
+        jobs = jobs.filter(j => j !== job);
+        changed();
+        return job;
+    };
+
+    const start = () => {
+        load();
+        schedule(0);
+    };
+
+    // No new attempts after this, resolves once the one being sent (if any) is done
+    const stop = () => {
+        stopped = true;
+        if (timer) clearTimeout(timer);
+        timer = null;
+        return current;
+    };
+
+    return {
+        start,
+        stop,
+        enqueue,
+        retry,
+        discard,
+        summary,
+        kick: () => schedule(0),
+        jobs: () => jobs.slice()
+    };
+};
+
+module.exports = { createDeliveryQueue };
@@ -0,0 +1,121 @@
+// Per-rule content filters
+// rule.filters = {
+//     include: ['offer', '/sale \\d+%/i'],  // caption must match at least one (plain text or /regex/flags)
+//     exclude: ['meme'],                     // caption must match none
+//     allowSenders: ['919747491440'],        // only these numbers (msg.author)
+//     blockSenders: ['918593059072'],        // never these numbers
+//     mimeTypes: ['image/*', 'video/mp4'],   // media MIME must match one
+//     minSize: 10240, maxSize: 16777216      // media size in bytes
+// }
+
+// "/pattern/flags" is a regex (null otherwise), throws when it doesn't compile
+const toRegex = (pattern) => {
+    const match = /^\/(.+)\/([gimsuy]*)$/.exec(pattern);
+    return match ? new RegExp(match[1], match[2].replace('g', '')) : null;
+};
+
+// "/pattern/flags" is a regex, anything else is a case-insensitive substring
+const toMatcher = (pattern, log) => {
+    let regex;
+    try {
+        regex = toRegex(pattern);
+    } catch (e) {
+        // Saved before patterns were checked
+        log(`Invalid filter regex ${pattern}: ${e.message}`);
+        return () => false;
+    }
+    if (regex) return (text) => regex.test(text);
+    const needle = pattern.toLowerCase();
+    return (text) => text.toLowerCase().includes(needle);
+};
+
+// Compare numbers by digits only, so "+91 97474 91440" matches "919747491440@c.us"
+const toNumber = (id) => String(id || '').split('@')[0].replace(/\D/g, '');
+
+const mimeMatches = (mime, pattern) => {
+    const base = mime.split(';')[0].trim().toLowerCase();
+    const wanted = pattern.trim().toLowerCase();
+    if (wanted.endsWith('/*')) return base.startsWith(wanted.slice(0, -1));
+    return base === wanted;
+};
+
+const formatSize = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+const hasItems = (list) => Array.isArray(list) && list.length > 0;
+
+// Returns null when the message passes, otherwise the reason it was dropped
+// info = { caption, sender, mime, size }, log = (message) => void for rules with a broken regex
+const checkFilters = (filters, info, log) => {
+    if (!filters) return null;
+
+    const caption = info.caption || '';
+    const sender = toNumber(info.sender);
+
+    if (hasItems(filters.include) && !filters.include.some(p => toMatcher(p, log)(caption))) {
+        return 'caption does not match any include keyword';
+    }
+
+    if (hasItems(filters.exclude)) {
+        const hit = filters.exclude.find(p => toMatcher(p, log)(caption));
+        if (hit) return `caption matches exclude keyword "${hit}"`;
+    }
+
+    if (hasItems(filters.allowSenders) && !filters.allowSenders.some(n => toNumber(n) === sender)) {
+        return `sender ${sender || 'unknown'} is not in the allowlist`;
+    }
+
+    if (hasItems(filters.blockSenders) && filters.blockSenders.some(n => toNumber(n) === sender)) {
+        return `sender ${sender} is blocked`;
+    }
+
+    // MIME and size only apply to messages that carry media
+    if (info.mime) {
+        if (hasItems(filters.mimeTypes) && !filters.mimeTypes.some(p => mimeMatches(info.mime, p))) {
+            return `MIME ${info.mime} is not allowed`;
+        }
+    }
+
+    if (typeof info.size === 'number' && info.size > 0) {
+        if (filters.minSize && info.size < filters.minSize) {
+            return `size ${formatSize(info.size)} is below the ${formatSize(filters.minSize)} minimum`;
+        }
+        if (filters.maxSize && info.size > filters.maxSize) {
+            return `size ${formatSize(info.size)} is above the ${formatSize(filters.maxSize)} maximum`;
+        }
+    }
+
+    return null;
+};
+
+const cleanList = (list) => Array.isArray(list)
+    ? list.map(item => String(item).trim()).filter(Boolean)
+    : [];
+
+// Keep only known fields with sane values; returns undefined when nothing is set.
+// Throws when an include/exclude /regex/ doesn't compile.
+const normalizeFilters = (input) => {
+    if (!input || typeof input !== 'object') return undefined;
+
+    const filters = {};
+    for (const key of ['include', 'exclude', 'allowSenders', 'blockSenders', 'mimeTypes']) {
+        const list = cleanList(input[key]);
+        if (list.length > 0) filters[key] = list;
+    }
+    for (const key of ['include', 'exclude']) {
+        for (const pattern of filters[key] || []) {
+            try {
+                toRegex(pattern);
+            } catch (e) {
+                throw new Error(`${key} pattern ${pattern} is not a valid regex (${e.message})`);
+            }
+        }
+    }
+    for (const key of ['minSize', 'maxSize']) {
+        const value = Number(input[key]);
+        if (Number.isFinite(value) && value > 0) filters[key] = Math.round(value);
+    }
+
+    return Object.keys(filters).length > 0 ? filters : undefined;
+};
+
+module.exports = { checkFilters, normalizeFilters };
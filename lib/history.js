@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./atomic_file');
+
+// Forwarding history: one JSON line per delivery attempt
+// { id, msgId, rule, sourceId, targetId, type, mime, size, path: 'native'|'fallback', status: 'sent'|'skipped'|'failed', error, attempt, queuedAt, startedAt, finishedAt }
+
+const CSV_COLUMNS = ['finishedAt', 'status', 'rule', 'sourceId', 'targetId', 'type', 'mime', 'size', 'path', 'attempt', 'error', 'msgId', 'queuedAt', 'startedAt'];
+const TIME_COLUMNS = ['finishedAt', 'queuedAt', 'startedAt'];
+
+// Only the last maxAgeDays and at most maxRecords records are kept. They're held in memory, so
+// queries never read the file; the file is rewritten without the dropped ones now and then.
+const DEFAULT_MAX_AGE_DAYS = 30;
+const DEFAULT_MAX_RECORDS = 20000;
+
+// options = { maxAgeDays, maxRecords, log: (message, error) }  // log gets read/write errors
+const createHistory = (file, options) => {
+    const maxAge = (options.maxAgeDays || DEFAULT_MAX_AGE_DAYS) * 24 * 60 * 60 * 1000;
+    const maxRecords = options.maxRecords || DEFAULT_MAX_RECORDS;
+    // Lines the file may hold beyond `records` before it's rewritten
+    const slack = Math.max(1000, Math.round(maxRecords / 10));
+    let records = [];
+    let fileLines = 0;
+
+    const trim = () => {
+        const cutoff = Date.now() - maxAge;
+        let drop = Math.max(0, records.length - maxRecords);
+        while (drop < records.length && records[drop].finishedAt < cutoff) drop++;
+        if (drop > 0) records = records.slice(drop);
+    };
+
+    const rewrite = () => {
+        try {
+            writeFileAtomic(file, records.map(r => JSON.stringify(r) + '\n').join(''));
+            fileLines = records.length;
+        } catch (e) {
+            options.log('Error compacting history', e);
+        }
+    };
+
+    if (fs.existsSync(file)) {
+        try {
+            const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+            fileLines = lines.length;
+            records = lines
+                .map(line => {
+                    try { return JSON.parse(line); } catch (e) { return null; }
+                })
+                .filter(Boolean);
+            trim();
+            if (fileLines > records.length) rewrite();
+        } catch (e) {
+            options.log('Error reading history', e);
+        }
+    }
+
+    const record = (entry) => {
+        const dir = path.dirname(file);
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+        const item = { id: crypto.randomUUID(), ...entry };
+        records.push(item);
+        trim();
+        try {
+            fs.appendFileSync(file, JSON.stringify(item) + '\n');
+            fileLines++;
+        } catch (e) {
+            options.log('Error writing history', e);
+        }
+        if (fileLines > records.length + slack) rewrite();
+    };
+
+    // filters = { rule, group, status, from, to } (from/to are ms timestamps)
+    const query = (filters = {}) => {
+        return records
+            .filter(r => filters.rule === undefined || String(r.rule) === String(filters.rule))
+            .filter(r => !filters.group || r.sourceId === filters.group || r.targetId === filters.group)
+            .filter(r => !filters.status || r.status === filters.status)
+            .filter(r => !filters.from || r.finishedAt >= filters.from)
+            .filter(r => !filters.to || r.finishedAt <= filters.to)
+            .reverse(); // newest first
+    };
+
+    return { record, query };
+};
+
+const csvCell = (value, column) => {
+    if (value === undefined || value === null) return '';
+    const text = TIME_COLUMNS.includes(column) ? new Date(value).toISOString() : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (records) => {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const r of records) {
+        lines.push(CSV_COLUMNS.map(col => csvCell(r[col], col)).join(','));
+    }
+    return lines.join('\n') + '\n';
+};
+
+module.exports = { createHistory, toCsv };
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+
+// Structured logging: one JSON line per event in data/logs/autoforwarder.log
+// { time, level, category, message, account, rule, group, msgId, error }
+// Files rotate at maxBytes (autoforwarder.log.1 is the newest old file, up to maxFiles of them).
+// The last bufferSize events are kept in memory so a freshly opened dashboard can catch up.
+//
+// LOG_LEVEL=debug|info|warn|error sets the minimum level that gets recorded (default info).
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const FIELDS = ['account', 'rule', 'group', 'msgId'];
+
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+const DEFAULT_BUFFER_SIZE = 500;
+
+// options = {
+//     dir,
+//     level: 'info',
+//     maxBytes, maxFiles, bufferSize,
+//     onEntry: (entry) => void     // live stream, e.g. the dashboard socket
+// }
+const createLogger = (options) => {
+    const file = path.join(options.dir, 'autoforwarder.log');
+    const maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    const maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+    const bufferSize = options.bufferSize || DEFAULT_BUFFER_SIZE;
+    const minLevel = LEVELS.includes(options.level) ? LEVELS.indexOf(options.level) : LEVELS.indexOf('info');
+    const buffer = [];
+    let size = null;
+
+    const rotate = () => {
+        for (let i = maxFiles - 1; i >= 1; i--) {
+            const from = `${file}.${i}`;
+            if (fs.existsSync(from)) fs.renameSync(from, `${file}.${i + 1}`);
+        }
+        fs.renameSync(file, `${file}.1`);
+        const oldest = `${file}.${maxFiles + 1}`;
+        if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+        size = 0;
+    };
+
+    const write = (line) => {
+        try {
+            if (size === null) {
+                if (!fs.existsSync(options.dir)) fs.mkdirSync(options.dir, { recursive: true });
+                size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+            }
+            if (size > 0 && size + line.length > maxBytes) rotate();
+            fs.appendFileSync(file, line);
+            size += Buffer.byteLength(line);
+        } catch (e) {
+            // Can't log this through ourselves, the console will have to do
+            console.error('Error writing log file', e.message);
+        }
+    };
+
+    const toConsole = (entry, stack) => {
+        const tags = FIELDS.filter(k => entry[k]).map(k => `${k}=${entry[k]}`).join(' ');
+        const error = entry.error && !stack ? `: ${entry.error}` : '';
+        const line = `${entry.time} ${entry.level.toUpperCase()} [${entry.category}] ${entry.message}${error}${tags ? ` (${tags})` : ''}`;
+        if (entry.level === 'error' || entry.level === 'warn') {
+            console.error(line + (stack ? `\n${stack}` : ''));
+        } else {
+            console.log(line);
+        }
+    };
+
+    // fields = { account, rule, group, msgId, error }, error may be an Error
+    const log = (level, category, message, fields = {}) => {
+        if (LEVELS.indexOf(level) < minLevel) return;
+
+        const entry = { time: new Date().toISOString(), level, category, message };
+        FIELDS.forEach(k => { if (fields[k]) entry[k] = fields[k]; });
+        const error = fields.error;
+        if (error) entry.error = error instanceof Error ? error.message : String(error);
+
+        toConsole(entry, error instanceof Error ? error.stack : null);
+        write(JSON.stringify(error instanceof Error ? { ...entry, stack: error.stack } : entry) + '\n');
+
+        buffer.push(entry);
+        if (buffer.length > bufferSize) buffer.shift();
+        if (options.onEntry) options.onEntry(entry);
+    };
+
+    return {
+        log,
+        debug: (category, message, fields) => log('debug', category, message, fields),
+        info: (category, message, fields) => log('info', category, message, fields),
+        warn: (category, message, fields) => log('warn', category, message, fields),
+        error: (category, message, fields) => log('error', category, message, fields),
+        recent: () => buffer.slice()
+    };
+};
+
+module.exports = { createLogger, LEVELS };
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+
+// Loop and duplicate protection
+// message_create also fires for messages this account sends, so every copy we
+// forward comes back through the handler. We remember what we sent (by message ID
+// and by content key) so chained rules keep working while cycles and repeats stop.
+
+// contentKey|chatId -> timestamp the content was delivered to (or seen in) that chat
+const deliveries = new Map();
+// outgoing message ID -> { key, hops }
+// (the bare ID, which is the same for every account that sees the message)
+const outgoing = new Map();
+// contentKey -> { hops, at } of the latest copy we sent (for fallback forwards, which return no ID)
+const hopsByKey = new Map();
+
+// chatId -> Set of sends still in flight to that chat
+const inflight = new Map();
+
+const OUTGOING_TTL = 24 * 60 * 60 * 1000;
+
+const sha1 = (value) => crypto.createHash('sha1').update(value).digest('hex');
+
+// Identify the content itself, so a copy of a message hashes the same as the original
+const getContentKey = (msg, kind) => {
+    const data = msg._data || {};
+    if (data.filehash) return `media:${data.filehash}`;
+
+    switch (kind) {
+        case 'text': return `text:${sha1(msg.body || '')}`;
+        case 'location': return `location:${msg.location.latitude},${msg.location.longitude}`;
+        case 'contact': return `contact:${sha1(msg.vCards.join('\n'))}`;
+        case 'poll': return `poll:${sha1(JSON.stringify([msg.pollName, (msg.pollOptions || []).map(o => o.name)]))}`;
+        default: return `msg:${msg.id._serialized}`;
+    }
+};
+
+// How a message entering the handler relates to what we forwarded earlier
+// isOwn: sent by one of our accounts (not necessarily the one that's looking at it)
+const getIncomingInfo = (msg, kind, isOwn = msg.fromMe) => {
+    const tracked = outgoing.get(msg.id.id);
+    if (tracked) return { key: tracked.key, hops: tracked.hops };
+
+    const key = getContentKey(msg, kind);
+    const hops = isOwn && hopsByKey.has(key) ? hopsByKey.get(key).hops : 0;
+    return { key, hops };
+};
+
+const trackOutgoing = (sentMsg, key, hops) => {
+    const previous = hopsByKey.get(key);
+    hopsByKey.set(key, { hops: Math.max(previous ? previous.hops : 0, hops), at: Date.now() });
+    if (sentMsg && sentMsg.id) {
+        outgoing.set(sentMsg.id.id, { key, hops, at: Date.now() });
+    }
+};
+
+// Our own copy can fire message_create before sendMessage() resolves with its ID,
+// so the handler waits for sends into that chat to settle before looking it up
+const trackInflight = (chatId, promise) => {
+    if (!inflight.has(chatId)) inflight.set(chatId, new Set());
+    const pending = inflight.get(chatId);
+    pending.add(promise);
+    const done = () => {
+        pending.delete(promise);
+        if (pending.size === 0) inflight.delete(chatId);
+    };
+    promise.then(done, done);
+    return promise;
+};
+
+const waitForInflight = async (chatId) => {
+    const pending = inflight.get(chatId);
+    if (pending) await Promise.allSettled([...pending]);
+};
+
+const isDuplicate = (key, chatId, windowMs) => {
+    const at = deliveries.get(`${key}|${chatId}`);
+    return at !== undefined && Date.now() - at < windowMs;
+};
+
+const markDelivered = (key, chatId) => {
+    deliveries.set(`${key}|${chatId}`, Date.now());
+};
+
+const unmarkDelivered = (key, chatId) => {
+    deliveries.delete(`${key}|${chatId}`);
+};
+
+// Drop entries older than the dedupe window so the maps don't grow forever
+const prune = (windowMs) => {
+    const now = Date.now();
+    for (const [k, at] of deliveries) {
+        if (now - at >= windowMs) deliveries.delete(k);
+    }
+    for (const map of [outgoing, hopsByKey]) {
+        for (const [k, entry] of map) {
+            if (now - entry.at >= OUTGOING_TTL) map.delete(k);
+        }
+    }
+};
+
+// If adding `rule` would let content travel from one of its targets back to its
+// source, returns that loop as a list of chat IDs (source first), otherwise null
+const findCycle = (rules, rule) => {
+    const edges = new Map();
+    for (const r of rules.concat(rule)) {
+        if (!edges.has(r.source)) edges.set(r.source, new Set());
+        for (const target of r.targets || []) edges.get(r.source).add(target);
+    }
+
+    for (const start of rule.targets || []) {
+        // Breadth-first search from the target back to the source, remembering the way
+        const previous = new Map([[start, null]]);
+        const queue = [start];
+        while (queue.length > 0) {
+            const node = queue.shift();
+            if (node === rule.source) {
+                const path = [];
+                for (let n = node; n !== null; n = previous.get(n)) path.unshift(n);
+                return [rule.source].concat(path);
+            }
+            for (const next of edges.get(node) || []) {
+                if (!previous.has(next)) {
+                    previous.set(next, node);
+                    queue.push(next);
+                }
+            }
+        }
+    }
+    return null;
+};
+
+module.exports = {
+    getContentKey,
+    getIncomingInfo,
+    trackOutgoing,
+    trackInflight,
+    waitForInflight,
+    isDuplicate,
+    markDelivered,
+    unmarkDelivered,
+    prune,
+    findCycle
+};
@@ -0,0 +1,190 @@
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Downloaded media, shared by every delivery of the same message
+// Each message is downloaded once into a private directory (never under public/) and the
+// file is reused for all its targets and rules. An entry is reference counted: queued and held
+// jobs for the message (setReferences) plus sends using it right now (acquire/release).
+// The file is deleted when the count drops to zero; sweep() removes leftovers from a crash.
+// Processed versions (resized, transcoded, watermarked) are kept with it, one per set of media
+// options, so ffmpeg runs once per message and rule settings rather than once per target.
+
+const mimeMap = {
+    'video/mp4': 'mp4',
+    'video/3gpp': '3gp',
+    'video/quicktime': 'mov',
+    'video/x-matroska': 'mkv',
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'audio/ogg': 'ogg',
+    'audio/mp4': 'm4a',
+    'audio/mpeg': 'mp3'
+};
+
+const extensionFor = (mime) => {
+    const base = mime.split(';')[0].trim();
+    return mimeMap[base] || (base.split('/')[1] || 'bin').replace(/[^a-z0-9]/gi, '') || 'bin';
+};
+
+const formatMb = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// options = {
+//     dir,
+//     getMaxBytes: () => number,   // disk cap for all cached files together, 0 for none
+//     log: (message)
+// }
+const createMediaCache = (options) => {
+    const entries = new Map(); // key -> { promise, filePath, size, jobRefs, users, variants }
+    let totalBytes = 0;
+
+    // Throws (err.cacheFull) when `size` more bytes don't fit. Too big for the cache at all is
+    // permanent, a full cache clears as deliveries go out so that one is worth retrying.
+    // Either way the delivery waits or fails, it doesn't fall back to forwarding.
+    const checkSpace = (size) => {
+        const maxBytes = options.getMaxBytes();
+        if (!size || !maxBytes) return;
+        if (size > maxBytes) {
+            const err = new Error(`Media of ${formatMb(size)} is larger than the ${formatMb(maxBytes)} media cache`);
+            err.permanent = true;
+            err.cacheFull = true;
+            throw err;
+        }
+        if (totalBytes + size > maxBytes) {
+            const err = new Error(`Media cache is full (${formatMb(totalBytes)} of ${formatMb(maxBytes)} used)`);
+            err.cacheFull = true;
+            throw err;
+        }
+    };
+
+    const store = async (entry, download, expectedSize) => {
+        checkSpace(expectedSize);
+        const media = await download();
+        if (!media || !media.data) throw new Error('Download failed (Data unavailable)');
+
+        const data = Buffer.from(media.data, 'base64');
+        if (data.length === 0) throw new Error('Downloaded file is empty');
+        checkSpace(data.length);
+
+        const mime = media.mimetype || 'application/octet-stream';
+        const filePath = path.join(options.dir, `${crypto.randomUUID()}.${extensionFor(mime)}`);
+        await fsp.mkdir(options.dir, { recursive: true });
+        entry.filePath = filePath;
+        entry.size = data.length;
+        totalBytes += data.length;
+        await fsp.writeFile(filePath, data);
+        return { filePath, mime, filename: media.filename, size: data.length };
+    };
+
+    const remove = (key) => {
+        const entry = entries.get(key);
+        entries.delete(key);
+        totalBytes -= entry.size;
+        if (entry.filePath) fsp.unlink(entry.filePath).catch(() => { });
+        for (const variant of entry.variants.values()) {
+            variant.then(result => {
+                if (result.filePath !== entry.filePath) return fsp.unlink(result.filePath);
+            }).catch(() => { });
+        }
+    };
+
+    const removeIfUnused = (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.jobRefs + entry.users === 0) remove(key);
+    };
+
+    // Returns { filePath, mime, filename, size }, downloading on first use. Call release(key) when done.
+    // download: async () => MessageMedia, expectedSize: size WhatsApp reported, if known
+    const acquire = async (key, download, expectedSize) => {
+        let entry = entries.get(key);
+        if (!entry) {
+            // Counts the job asking for it until the next setReferences()
+            entry = { promise: null, filePath: null, size: 0, jobRefs: 1, users: 0, variants: new Map() };
+            entries.set(key, entry);
+            entry.promise = store(entry, download, expectedSize);
+            // A failed download isn't cached, the next attempt tries again
+            entry.promise.catch(() => {
+                if (entries.get(key) === entry) remove(key);
+            });
+        }
+        entry.users++;
+        try {
+            return await entry.promise;
+        } catch (e) {
+            entry.users--;
+            throw e;
+        }
+    };
+
+    // A processed version of an acquired entry, made on first use and shared after that.
+    // settings: what the result depends on (kind, media options), anything JSON can hold
+    // process: async (outputBase) => { filePath, mime }, writing to outputBase + extension or
+    // returning the original file. The result is the cache's to delete.
+    const processed = (key, settings, process) => {
+        const entry = entries.get(key);
+        if (!entry || !entry.filePath) return Promise.reject(new Error('Media is not in the cache'));
+        const variant = crypto.createHash('sha1').update(JSON.stringify(settings)).digest('hex').slice(0, 8);
+        if (!entry.variants.has(variant)) {
+            const outputBase = `${entry.filePath.replace(/\.[^.]+$/, '')}_${variant}`;
+            const promise = process(outputBase).then(async result => {
+                if (result.filePath !== entry.filePath && entries.get(key) === entry) {
+                    const { size } = await fsp.stat(result.filePath);
+                    entry.size += size;
+                    totalBytes += size;
+                }
+                return result;
+            });
+            entry.variants.set(variant, promise);
+            // A failure isn't cached, the next attempt tries again
+            promise.catch(() => {
+                if (entry.variants.get(variant) === promise) entry.variants.delete(variant);
+            });
+        }
+        return entry.variants.get(variant);
+    };
+
+    const release = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return;
+        entry.users = Math.max(0, entry.users - 1);
+        removeIfUnused(key);
+    };
+
+    // refs: Map of key -> number of jobs that still need the message
+    const setReferences = (refs) => {
+        for (const [key, entry] of entries) {
+            entry.jobRefs = refs.get(key) || 0;
+            removeIfUnused(key);
+        }
+    };
+
+    // Delete files no entry knows about, e.g. left behind by a crash
+    const sweep = async () => {
+        let files = [];
+        try {
+            files = await fsp.readdir(options.dir);
+        } catch (e) {
+            return 0;
+        }
+        // Processed versions are named after their original (<id>_<variant>.mp4)
+        const idOf = (file) => file.split(/[._]/)[0];
+        const live = new Set([...entries.values()].filter(e => e.filePath).map(e => idOf(path.basename(e.filePath))));
+        const stale = files.filter(f => !live.has(idOf(f)));
+        await Promise.all(stale.map(f => fsp.rm(path.join(options.dir, f), { force: true, recursive: true })));
+        if (stale.length > 0) options.log(`Removed ${stale.length} leftover media file(s)`);
+        return stale.length;
+    };
+
+    return {
+        acquire,
+        processed,
+        release,
+        setReferences,
+        sweep,
+        usage: () => ({ files: entries.size, bytes: totalBytes })
+    };
+};
+
+module.exports = { createMediaCache };
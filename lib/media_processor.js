@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+
+// Optional per-rule media processing before the native send
+// rule.media = {
+//     transcodeVideo: true,      // re-encode anything that isn't H.264/AAC MP4
+//     maxVideoMB: 16,            // re-encode (lower bitrate) videos bigger than this
+//     maxVideoHeight: 720,       // downscale taller videos
+//     maxImageDimension: 1600,   // resize images whose longest side is bigger
+//     maxImageMB: 2,             // recompress images bigger than this
+//     imageQuality: 80,          // 1-100, used when recompressing JPEG/WebP
+//     watermark: { file: 'logo.png', position: 'bottom-right', width: 120 }
+// }
+
+const MB = 1024 * 1024;
+const WATERMARK_POSITIONS = {
+    'top-left': '10:10',
+    'top-right': 'W-w-10:10',
+    'bottom-left': '10:H-h-10',
+    'bottom-right': 'W-w-10:H-h-10',
+    'center': '(W-w)/2:(H-h)/2'
+};
+
+// Checked once: without ffmpeg on the PATH the stage is skipped entirely
+let ffmpegAvailable = null;
+const checkFfmpeg = (log) => new Promise(resolve => {
+    if (ffmpegAvailable !== null) return resolve(ffmpegAvailable);
+    ffmpeg.getAvailableFormats((err) => {
+        ffmpegAvailable = !err;
+        if (err) log(`ffmpeg not available, media processing disabled: ${err.message}`);
+        resolve(ffmpegAvailable);
+    });
+});
+
+const probe = (file) => new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(file, (err, data) => err ? reject(err) : resolve(data));
+});
+
+const run = (command, output) => new Promise((resolve, reject) => {
+    command
+        .on('error', reject)
+        .on('end', resolve)
+        .save(output);
+});
+
+const formatSize = (bytes) => `${(bytes / MB).toFixed(2)} MB`;
+
+const getWatermark = (opts, baseDir, log) => {
+    if (!opts.watermark || !opts.watermark.file) return null;
+    const file = path.resolve(baseDir, opts.watermark.file);
+    if (!fs.existsSync(file)) {
+        log(`Watermark file not found: ${file}`);
+        return null;
+    }
+    return {
+        file: file,
+        width: parseInt(opts.watermark.width) || 120,
+        position: WATERMARK_POSITIONS[opts.watermark.position] || WATERMARK_POSITIONS['bottom-right']
+    };
+};
+
+// Build "[0:v]...[out]" filters for scaling plus an optional logo overlay
+const buildFilters = (scale, watermark) => {
+    const filters = [`[0:v]${scale || 'null'}[base]`];
+    if (watermark) {
+        filters.push(`[1:v]scale=${watermark.width}:-1[wm]`);
+        filters.push(`[base][wm]overlay=${watermark.position}[out]`);
+    } else {
+        filters.push('[base]null[out]');
+    }
+    return filters;
+};
+
+const processVideo = async (input, output, size, opts, watermark, log) => {
+    const info = await probe(input);
+    const video = info.streams.find(s => s.codec_type === 'video');
+    const audio = info.streams.find(s => s.codec_type === 'audio');
+    if (!video) return null;
+
+    const isMp4 = /mp4|mov/.test(info.format.format_name || '') && path.extname(input) === '.mp4';
+    const badCodec = video.codec_name !== 'h264' || (audio && audio.codec_name !== 'aac') || !isMp4;
+    const tooBig = opts.maxVideoMB && size > opts.maxVideoMB * MB;
+    const tooTall = opts.maxVideoHeight && video.height > opts.maxVideoHeight;
+
+    const reasons = [];
+    if (opts.transcodeVideo && badCodec) reasons.push(`codec ${video.codec_name}/${audio ? audio.codec_name : 'none'}`);
+    if (tooBig) reasons.push(`over ${opts.maxVideoMB} MB`);
+    if (tooTall) reasons.push(`${video.height}p`);
+    if (watermark) reasons.push('watermark');
+    if (reasons.length === 0) return null;
+
+    log(`Re-encoding video (${reasons.join(', ')})...`);
+
+    const command = ffmpeg(input);
+    if (watermark) command.input(watermark.file);
+
+    const scale = tooTall ? `scale=-2:${opts.maxVideoHeight}` : null;
+    command
+        .complexFilter(buildFilters(scale, watermark), 'out')
+        .outputOptions(['-map', '0:a?', '-c:v', 'libx264', '-preset', 'veryfast', '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-b:a', '128k', '-movflags', '+faststart']);
+
+    // Aim a little under the size cap
+    const duration = parseFloat(info.format.duration);
+    if (tooBig && duration > 0) {
+        const videoKbps = Math.max(Math.floor((opts.maxVideoMB * MB * 8 * 0.9) / duration / 1000) - 128, 200);
+        command.outputOptions(['-b:v', `${videoKbps}k`, '-maxrate', `${videoKbps}k`, '-bufsize', `${videoKbps * 2}k`]);
+    } else {
+        command.outputOptions(['-crf', '23']);
+    }
+
+    await run(command, `${output}.mp4`);
+    return { filePath: `${output}.mp4`, mime: 'video/mp4' };
+};
+
+const processImage = async (input, output, mime, size, opts, watermark, log) => {
+    // Animated GIFs would lose their animation
+    if (mime === 'image/gif') return null;
+
+    const info = await probe(input);
+    const image = info.streams.find(s => s.codec_type === 'video');
+    if (!image) return null;
+
+    const longest = Math.max(image.width, image.height);
+    const tooLarge = opts.maxImageDimension && longest > opts.maxImageDimension;
+    const tooBig = opts.maxImageMB && size > opts.maxImageMB * MB;
+    if (!tooLarge && !tooBig && !watermark) return null;
+
+    log(`Processing image (${[tooLarge && `${image.width}x${image.height}`, tooBig && `over ${opts.maxImageMB} MB`, watermark && 'watermark'].filter(Boolean).join(', ')})...`);
+
+    const isPng = mime === 'image/png';
+    const outputFile = `${output}.${isPng ? 'png' : 'jpg'}`;
+    const command = ffmpeg(input);
+    if (watermark) command.input(watermark.file);
+
+    const max = opts.maxImageDimension;
+    const scale = tooLarge ? `scale=${max}:${max}:force_original_aspect_ratio=decrease` : null;
+    command.complexFilter(buildFilters(scale, watermark), 'out').outputOptions(['-frames:v', '1']);
+
+    if (!isPng) {
+        // ffmpeg's JPEG quality runs 2 (best) to 31 (worst)
+        const quality = Math.min(Math.max(parseInt(opts.imageQuality) || 80, 1), 100);
+        command.outputOptions(['-q:v', String(Math.round(31 - (quality / 100) * 29))]);
+    }
+
+    await run(command, outputFile);
+    return { filePath: outputFile, mime: isPng ? 'image/png' : 'image/jpeg' };
+};
+
+// Returns { filePath, mime } for the file to send: the processed copy, or the input unchanged
+// when nothing needed doing, ffmpeg is missing, or processing failed.
+// log = (message, error) => void, for the live log; error is set when processing failed
+// output = path for the processed copy without extension (default: next to the input, <name>_processed)
+const processMedia = async (filePath, mime, kind, opts, log, baseDir, output) => {
+    const original = { filePath, mime };
+    if (!opts || !['image', 'video'].includes(kind)) return original;
+    if (!await checkFfmpeg(log)) {
+        log('ffmpeg not found, sending media unprocessed');
+        return original;
+    }
+
+    const before = fs.statSync(filePath).size;
+    const watermark = getWatermark(opts, baseDir, log);
+    const outputBase = output || filePath.replace(/\.[^.]+$/, '') + '_processed';
+
+    try {
+        const result = kind === 'video'
+            ? await processVideo(filePath, outputBase, before, opts, watermark, log)
+            : await processImage(filePath, outputBase, mime, before, opts, watermark, log);
+        if (!result) return original;
+
+        const after = fs.statSync(result.filePath).size;
+        if (after === 0) throw new Error('ffmpeg produced an empty file');
+        log(`Processed ${kind}: ${formatSize(before)} → ${formatSize(after)}`);
+        return result;
+    } catch (e) {
+        log(`Media processing failed (${e.message}), sending original`, e);
+        return original;
+    }
+};
+
+const normalizeMediaOptions = (input) => {
+    if (!input || typeof input !== 'object') return undefined;
+
+    const opts = {};
+    if (input.transcodeVideo) opts.transcodeVideo = true;
+    for (const key of ['maxVideoMB', 'maxVideoHeight', 'maxImageDimension', 'maxImageMB', 'imageQuality']) {
+        const value = Number(input[key]);
+        if (Number.isFinite(value) && value > 0) opts[key] = value;
+    }
+    if (input.watermark && typeof input.watermark.file === 'string' && input.watermark.file.trim()) {
+        opts.watermark = {
+            file: input.watermark.file.trim(),
+            position: WATERMARK_POSITIONS[input.watermark.position] ? input.watermark.position : 'bottom-right',
+            width: parseInt(input.watermark.width) || 120
+        };
+    }
+
+    return Object.keys(opts).length > 0 ? opts : undefined;
+};
+
+module.exports = { processMedia, normalizeMediaOptions };
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const { writeJsonAtomic } = require('./atomic_file');
+
+// Source message ID -> the copies we sent of it
+// { [sourceMsgId]: { at, copies: [{ targetId, msgId, rule }] } }
+// Kept for a week, long enough for late edits, deletions and replies.
+
+const MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// options = { log: (message, error) }  // read/write errors
+const createMessageMap = (file, options) => {
+    let entries = {};
+    let saveTimer = null;
+
+    if (fs.existsSync(file)) {
+        try {
+            entries = JSON.parse(fs.readFileSync(file));
+        } catch (e) {
+            options.log('Error reading message map', e);
+        }
+    }
+
+    const prune = () => {
+        const now = Date.now();
+        for (const id of Object.keys(entries)) {
+            if (now - entries[id].at > MAX_AGE) delete entries[id];
+        }
+    };
+
+    const save = () => {
+        writeJsonAtomic(file, entries, 0);
+    };
+
+    // Batch writes, a burst of forwards only hits the disk once
+    const scheduleSave = () => {
+        if (saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            prune();
+            try { save(); } catch (e) { options.log('Error writing message map', e); }
+        }, 1000);
+    };
+
+    // Write pending changes now, e.g. before the process exits
+    const flush = () => {
+        if (!saveTimer) return;
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        prune();
+        try { save(); } catch (e) { options.log('Error writing message map', e); }
+    };
+
+    const addCopy = (sourceMsgId, copy) => {
+        if (!entries[sourceMsgId]) entries[sourceMsgId] = { at: Date.now(), copies: [] };
+        entries[sourceMsgId].copies.push(copy);
+        scheduleSave();
+    };
+
+    const getCopies = (sourceMsgId) => {
+        return entries[sourceMsgId] ? entries[sourceMsgId].copies : [];
+    };
+
+    const remove = (sourceMsgId) => {
+        if (!entries[sourceMsgId]) return;
+        delete entries[sourceMsgId];
+        scheduleSave();
+    };
+
+    return { addCopy, getCopies, remove, flush };
+};
+
+module.exports = { createMessageMap };
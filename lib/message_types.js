@@ -0,0 +1,39 @@
+// Message kinds a rule can forward (stored in rule.types)
+const MESSAGE_TYPES = ['text', 'image', 'video', 'audio', 'voice', 'document', 'sticker', 'location', 'contact', 'poll'];
+
+// Kinds that carry a file and go through downloadMedia()
+const MEDIA_TYPES = ['image', 'video', 'audio', 'voice', 'document', 'sticker'];
+
+// Rules saved before `types` existed only forwarded images and videos
+const DEFAULT_TYPES = ['image', 'video'];
+
+// Map a whatsapp-web.js message to one of MESSAGE_TYPES (or null if we can't forward it)
+const getMessageKind = (msg) => {
+    const mime = (msg._data && msg._data.mimetype) || '';
+
+    switch (msg.type) {
+        case 'chat': return 'text';
+        case 'image': return 'image';
+        case 'video':
+        case 'gif': return 'video';
+        case 'audio': return 'audio';
+        case 'ptt': return 'voice';
+        case 'sticker': return 'sticker';
+        case 'location': return 'location';
+        case 'vcard':
+        case 'multi_vcard': return 'contact';
+        case 'poll_creation': return 'poll';
+        case 'document':
+            // Images/videos sent "as file" are still treated as media
+            if (mime.startsWith('image/')) return 'image';
+            if (mime.startsWith('video/')) return 'video';
+            return 'document';
+        default: return null;
+    }
+};
+
+const getRuleTypes = (rule) => {
+    return Array.isArray(rule.types) && rule.types.length > 0 ? rule.types : DEFAULT_TYPES;
+};
+
+module.exports = { MESSAGE_TYPES, MEDIA_TYPES, DEFAULT_TYPES, getMessageKind, getRuleTypes };
@@ -0,0 +1,98 @@
+// Minimal Prometheus metrics: counters, gauges and histograms rendered in the text exposition format
+// https://prometheus.io/docs/instrumenting/exposition_formats/
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const keys = Object.keys(labels);
+    if (keys.length === 0) return '';
+    return `{${keys.map(k => `${k}="${escapeLabel(labels[k])}"`).join(',')}}`;
+};
+
+const formatNumber = (value) => {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+};
+
+const createMetrics = () => {
+    const registry = [];
+
+    const register = (name, help, type, extra = {}) => {
+        const metric = { name, help, type, series: new Map(), ...extra };
+        registry.push(metric);
+        return metric;
+    };
+
+    // One entry per distinct label set
+    const seriesFor = (metric, labels, init) => {
+        const key = JSON.stringify(labels);
+        if (!metric.series.has(key)) metric.series.set(key, { labels, ...init() });
+        return metric.series.get(key);
+    };
+
+    const counter = (name, help) => {
+        const metric = register(name, help, 'counter');
+        return {
+            inc: (labels = {}, value = 1) => { seriesFor(metric, labels, () => ({ value: 0 })).value += value; }
+        };
+    };
+
+    // collect: optional () => [{ labels, value }] evaluated at scrape time
+    const gauge = (name, help, collect) => {
+        const metric = register(name, help, 'gauge', { collect });
+        return {
+            set: (labels = {}, value) => { seriesFor(metric, labels, () => ({ value: 0 })).value = value; }
+        };
+    };
+
+    const histogram = (name, help, buckets = DEFAULT_BUCKETS) => {
+        const metric = register(name, help, 'histogram', { buckets });
+        const observe = (labels = {}, value) => {
+            const series = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+            buckets.forEach((le, i) => { if (value <= le) series.counts[i]++; });
+            series.sum += value;
+            series.count++;
+        };
+        return {
+            observe,
+            // Returns a function that records the seconds elapsed since the timer started
+            startTimer: (labels = {}) => {
+                const start = process.hrtime.bigint();
+                return (extraLabels = {}) => observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+            }
+        };
+    };
+
+    const render = () => {
+        const lines = [];
+        for (const metric of registry) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+            if (metric.type === 'histogram') {
+                for (const series of metric.series.values()) {
+                    metric.buckets.forEach((le, i) => {
+                        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: formatNumber(le) })} ${series.counts[i]}`);
+                    });
+                    lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                    lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+                    lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+                }
+                continue;
+            }
+
+            const values = metric.collect ? metric.collect() : [...metric.series.values()];
+            for (const { labels, value } of values) {
+                lines.push(`${metric.name}${formatLabels(labels || {})} ${formatNumber(value)}`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    };
+
+    return { counter, gauge, histogram, render };
+};
+
+module.exports = { createMetrics };
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeJsonAtomic } = require('./atomic_file');
+
+// Moderated rules: messages wait here until someone approves or rejects them on the dashboard
+// item = {
+//     id, rule, msgId, sourceId, sourceAccount, kind, mime,
+//     caption,                  // what would be sent, the rule's rewrite applied; can be edited on approval
+//     sender, senderName, heldAt,
+//     jobs: [job]               // one delivery queue job per target
+// }
+// Pending items are persisted so they survive a restart. Every decision is appended to
+// decisionsFile as one JSON line:
+// { id, item, decision: 'approved' | 'rejected', by, at, rule, msgId, sourceId, targets, caption, captionEdited }
+//
+// options = {
+//     file, decisionsFile,
+//     onChange: (items),
+//     log: (message, error)     // read/write errors
+// }
+
+const createModeration = (options) => {
+    let items = [];
+
+    const load = () => {
+        if (!fs.existsSync(options.file)) return;
+        try {
+            items = JSON.parse(fs.readFileSync(options.file));
+        } catch (e) {
+            options.log('Error reading moderation queue', e);
+        }
+    };
+
+    const save = () => {
+        writeJsonAtomic(options.file, items);
+    };
+
+    const changed = () => {
+        save();
+        if (options.onChange) options.onChange(items);
+    };
+
+    const record = (entry) => {
+        const dir = path.dirname(options.decisionsFile);
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+        try {
+            fs.appendFileSync(options.decisionsFile, JSON.stringify({ id: crypto.randomUUID(), ...entry }) + '\n');
+        } catch (e) {
+            options.log('Error writing moderation decision', e);
+        }
+    };
+
+    const hold = (data) => {
+        const item = { ...data, id: crypto.randomUUID(), heldAt: Date.now() };
+        items.push(item);
+        changed();
+        return item;
+    };
+
+    // decision = 'approved' | 'rejected', by = user name. An approval may replace the caption.
+    // Returns the item with its jobs ready to send, or null if it's no longer pending.
+    const decide = (id, decision, by, caption) => {
+        const item = items.find(i => i.id === id);
+        if (!item) return null;
+        items = items.filter(i => i !== item);
+
+        const captionEdited = decision === 'approved' && caption !== undefined && caption !== item.caption;
+        if (captionEdited) {
+            item.caption = caption;
+            item.jobs = item.jobs.map(job => ({ ...job, caption: caption, allowFallback: false }));
+        }
+
+        record({
+            item: item.id,
+            decision: decision,
+            by: by,
+            at: Date.now(),
+            rule: item.rule,
+            msgId: item.msgId,
+            sourceId: item.sourceId,
+            targets: item.jobs.map(job => job.targetId),
+            caption: item.caption,
+            captionEdited: captionEdited || undefined
+        });
+        changed();
+        return item;
+    };
+
+    // Drop an item without a decision (e.g. its source message was deleted)
+    const discard = (id) => {
+        const item = items.find(i => i.id === id);
+        if (!item) return null;
+        items = items.filter(i => i !== item);
+        changed();
+        return item;
+    };
+
+    // The latest `limit` decisions, newest first
+    const decisions = (limit = 50) => {
+        if (!fs.existsSync(options.decisionsFile)) return [];
+        return fs.readFileSync(options.decisionsFile, 'utf8')
+            .split('\n')
+            .filter(Boolean)
+            .slice(-limit)
+            .map(line => {
+                try { return JSON.parse(line); } catch (e) { return null; }
+            })
+            .filter(Boolean)
+            .reverse();
+    };
+
+    return {
+        start: load,
+        hold,
+        decide,
+        discard,
+        decisions,
+        get: (id) => items.find(i => i.id === id),
+        items: () => items.slice()
+    };
+};
+
+module.exports = { createModeration };
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { MESSAGE_TYPES } = require('./message_types');
+const { normalizeFilters } = require('./filters');
+const { normalizeCaption } = require('./captions');
+const { normalizeMediaOptions } = require('./media_processor');
+const { normalizeSchedule } = require('./scheduler');
+
+// Rule schema
+// {
+//     id: 'rule_1a2b3c4d', name: 'Flyers to customers', enabled: true,
+//     source: 'chatId', targets: ['chatId1', 'chatId2'],   // groups, direct chats, channels or broadcast lists
+//     sourceAccount: 'default', targetAccount: 'shop2',   // which WhatsApp number reads / sends (default account if unset)
+//     types, filters, caption, maxHops, syncEdits, syncDeletes, media, schedule,
+//     dryRun: true,                                       // only log what would be sent
+//     moderated: true                                     // hold every message until it's approved on the dashboard
+// }
+const RULE_FIELDS = ['id', 'name', 'enabled', 'source', 'targets', 'sourceAccount', 'targetAccount', 'types', 'filters', 'caption', 'maxHops', 'syncEdits', 'syncDeletes', 'media', 'schedule', 'dryRun', 'moderated'];
+const OBJECT_FIELDS = ['filters', 'caption', 'media', 'schedule'];
+
+const DEFAULT_ACCOUNT = 'default';
+
+const newRuleId = () => `rule_${crypto.randomBytes(4).toString('hex')}`;
+
+const invalid = (errors) => {
+    const err = new Error(`Invalid rule: ${errors.join('; ')}`);
+    err.details = errors;
+    return err;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Check a rule body and return it in canonical form, throws with err.details on bad input.
+// known = {
+//     accountIds: ['default', ...],
+//     getChatIds: (accountId) => Set of chat IDs the account can see, or null to skip the check (groups not loaded yet)
+// }
+// Pass null for `known` to skip both checks.
+const validateRule = (input, known) => {
+    if (!isPlainObject(input)) throw invalid(['rule must be a JSON object']);
+
+    const errors = [];
+
+    const unknownFields = Object.keys(input).filter(k => !RULE_FIELDS.includes(k));
+    if (unknownFields.length > 0) errors.push(`unknown field(s) ${unknownFields.join(', ')}`);
+
+    if (input.id !== undefined && (typeof input.id !== 'string' || !input.id.trim())) errors.push('id must be a non-empty string');
+    if (input.name !== undefined && input.name !== null && typeof input.name !== 'string') errors.push('name must be a string');
+    if (input.enabled !== undefined && typeof input.enabled !== 'boolean') errors.push('enabled must be true or false');
+
+    if (typeof input.source !== 'string' || !input.source) errors.push('source must be a chat ID');
+
+    const targets = input.targets;
+    if (!Array.isArray(targets) || targets.length === 0 || targets.some(t => typeof t !== 'string' || !t)) {
+        errors.push('targets must be a non-empty list of chat IDs');
+    } else if (targets.includes(input.source)) {
+        errors.push('a rule cannot target its own source');
+    }
+
+    const accountsOk = ['sourceAccount', 'targetAccount'].every(key => {
+        const value = input[key];
+        if (value === undefined || value === null) return true;
+        if (typeof value !== 'string' || !value) {
+            errors.push(`${key} must be an account ID`);
+        } else if (known && !known.accountIds.includes(value)) {
+            errors.push(`unknown ${key} ${value}`);
+        } else {
+            return true;
+        }
+        return false;
+    });
+
+    // Each side is checked against the chats of the account that uses it
+    if (known && accountsOk && typeof input.source === 'string' && Array.isArray(targets)) {
+        const unknownIds = [];
+        const sourceChats = known.getChatIds(input.sourceAccount || DEFAULT_ACCOUNT);
+        if (sourceChats && !sourceChats.has(input.source)) unknownIds.push(input.source);
+        const targetChats = known.getChatIds(input.targetAccount || DEFAULT_ACCOUNT);
+        if (targetChats) unknownIds.push(...targets.filter(id => typeof id === 'string' && !targetChats.has(id)));
+        if (unknownIds.length > 0) errors.push(`unknown chat ID(s) ${[...new Set(unknownIds)].join(', ')}`);
+    }
+
+    if (input.types !== undefined) {
+        if (!Array.isArray(input.types) || input.types.length === 0) {
+            errors.push('types must be a non-empty list');
+        } else {
+            const unknownTypes = input.types.filter(t => !MESSAGE_TYPES.includes(t));
+            if (unknownTypes.length > 0) errors.push(`unknown type(s) ${unknownTypes.join(', ')}`);
+        }
+    }
+
+    if (input.maxHops !== undefined && input.maxHops !== null && !(Number.isInteger(input.maxHops) && input.maxHops > 0)) {
+        errors.push('maxHops must be a positive whole number');
+    }
+
+    for (const key of ['syncEdits', 'syncDeletes', 'dryRun', 'moderated']) {
+        if (input[key] !== undefined && typeof input[key] !== 'boolean') errors.push(`${key} must be true or false`);
+    }
+
+    for (const key of OBJECT_FIELDS) {
+        if (input[key] !== undefined && input[key] !== null && !isPlainObject(input[key])) errors.push(`${key} must be an object`);
+    }
+
+    let schedule;
+    try {
+        schedule = isPlainObject(input.schedule) ? normalizeSchedule(input.schedule) : undefined;
+    } catch (e) {
+        errors.push(`schedule: ${e.message}`);
+    }
+
+    let filters, caption;
+    try {
+        filters = normalizeFilters(input.filters);
+    } catch (e) {
+        errors.push(`filters: ${e.message}`);
+    }
+    try {
+        caption = normalizeCaption(input.caption);
+    } catch (e) {
+        errors.push(`caption: ${e.message}`);
+    }
+
+    if (errors.length > 0) throw invalid(errors);
+
+    return {
+        id: input.id ? input.id.trim() : newRuleId(),
+        name: input.name ? input.name.trim() || undefined : undefined,
+        enabled: input.enabled !== false,
+        source: input.source,
+        targets: [...new Set(targets)],
+        sourceAccount: input.sourceAccount || undefined,
+        targetAccount: input.targetAccount || undefined,
+        types: input.types ? [...new Set(input.types)] : undefined,
+        filters: filters,
+        caption: caption,
+        maxHops: input.maxHops || undefined,
+        syncEdits: input.syncEdits || undefined,
+        syncDeletes: input.syncDeletes || undefined,
+        media: normalizeMediaOptions(input.media),
+        schedule: schedule,
+        dryRun: input.dryRun || undefined,
+        moderated: input.moderated || undefined
+    };
+};
+
+// Give rules saved before IDs existed an ID and an explicit enabled flag
+const migrateRules = (rules) => {
+    let changed = false;
+    const migrated = (rules || []).map(rule => {
+        if (rule.id && rule.enabled !== undefined) return rule;
+        changed = true;
+        return { id: rule.id || newRuleId(), enabled: rule.enabled !== false, ...rule };
+    });
+    return { rules: migrated, changed };
+};
+
+module.exports = { validateRule, migrateRules, DEFAULT_ACCOUNT };
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { writeJsonAtomic } = require('./atomic_file');
+
+// Per-rule schedules: hold deliveries until they're allowed to go out
+// rule.schedule = {
+//     timeZone: 'Asia/Kolkata',
+//     activeHours: { start: '08:00', end: '21:00' },  // only send inside this window (may wrap midnight)
+//     quietHours: { start: '13:00', end: '14:00' },   // never send inside this window
+//     days: [1, 2, 3, 4, 5],                          // 0 = Sunday
+//     delayMinutes: 5,                                // fixed delay before sending
+//     digestMinutes: 30                               // collect for N minutes, then send as one batch headed by a summary
+// }
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const DAY_MINUTES = 24 * 60;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const toMinutes = (time) => {
+    const match = TIME_PATTERN.exec(time);
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+};
+
+// Minute of the day and weekday of `time` in the given time zone
+const localParts = (time, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        hourCycle: 'h23',
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'short'
+    }).formatToParts(new Date(time));
+    const get = (type) => parts.find(p => p.type === type).value;
+    return {
+        minutes: parseInt(get('hour')) * 60 + parseInt(get('minute')),
+        day: WEEKDAYS.indexOf(get('weekday'))
+    };
+};
+
+const inWindow = (minutes, window) => {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+};
+
+const isAllowed = (schedule, time) => {
+    const { minutes, day } = localParts(time, schedule.timeZone);
+    if (schedule.days && !schedule.days.includes(day)) return false;
+    if (schedule.activeHours && !inWindow(minutes, schedule.activeHours)) return false;
+    if (schedule.quietHours && inWindow(minutes, schedule.quietHours)) return false;
+    return true;
+};
+
+// First moment at or after `time` when the schedule allows sending
+const nextAllowedTime = (schedule, time) => {
+    let t = time;
+    for (let i = 0; i < 64; i++) {
+        if (isAllowed(schedule, t)) return t;
+
+        // Jump to the next point where the answer can change: a window edge or midnight
+        const { minutes } = localParts(t, schedule.timeZone);
+        const edges = [0];
+        if (schedule.activeHours) edges.push(toMinutes(schedule.activeHours.start));
+        if (schedule.quietHours) edges.push(toMinutes(schedule.quietHours.end));
+        const jump = Math.min(...edges.map(edge => ((edge - minutes + DAY_MINUTES) % DAY_MINUTES) || DAY_MINUTES));
+
+        t = Math.floor((t + jump * 60000) / 60000) * 60000;
+    }
+    return t;
+};
+
+// When a delivery arriving at `now` would go out, ignoring digest batches that are already open
+const getReleaseTime = (schedule, now) => {
+    const wait = schedule.digestMinutes || schedule.delayMinutes || 0;
+    return nextAllowedTime(schedule, now + wait * 60000);
+};
+
+const normalizeSchedule = (input) => {
+    if (!input || typeof input !== 'object') return undefined;
+
+    const schedule = {};
+    if (input.timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: input.timeZone });
+        } catch (e) {
+            throw new Error(`Unknown time zone "${input.timeZone}"`);
+        }
+        schedule.timeZone = input.timeZone;
+    }
+
+    for (const key of ['activeHours', 'quietHours']) {
+        const window = input[key];
+        if (!window || (!window.start && !window.end)) continue;
+        if (!TIME_PATTERN.test(window.start || '') || !TIME_PATTERN.test(window.end || '')) {
+            throw new Error(`${key} needs a start and end time as HH:MM`);
+        }
+        // An empty window would never match, leave the field out for "all day" / "never"
+        if (toMinutes(window.start) === toMinutes(window.end)) {
+            throw new Error(`${key} must end at a different time than it starts`);
+        }
+        schedule[key] = { start: window.start, end: window.end };
+    }
+
+    if (Array.isArray(input.days)) {
+        const days = [...new Set(input.days.map(Number).filter(d => Number.isInteger(d) && d >= 0 && d <= 6))].sort();
+        if (days.length === 0) throw new Error('Select at least one day');
+        if (days.length < 7) schedule.days = days;
+    }
+
+    for (const key of ['delayMinutes', 'digestMinutes']) {
+        const value = Number(input[key]);
+        if (Number.isFinite(value) && value > 0) schedule[key] = value;
+    }
+
+    if (Object.keys(schedule).filter(k => k !== 'timeZone').length === 0) return undefined;
+    if (!schedule.timeZone) schedule.timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    // e.g. quiet hours covering all of the active hours: held messages would never go out
+    if (!isAllowed(schedule, nextAllowedTime(schedule, Date.now()))) {
+        throw new Error('Active hours, quiet hours and days leave no time to send');
+    }
+    return schedule;
+};
+
+// Held deliveries, persisted so they survive a restart
+// options = {
+//     file,
+//     release: (batch),          // hand due items to the delivery queue; a digest batch has several items sharing a digestId
+//     onChange: (items),
+//     log: (message, error)      // read/write and release errors
+// }
+const createScheduler = (options) => {
+    let items = [];
+    let timer = null;
+
+    const load = () => {
+        if (!fs.existsSync(options.file)) return;
+        try {
+            items = JSON.parse(fs.readFileSync(options.file));
+        } catch (e) {
+            options.log('Error reading scheduled deliveries', e);
+        }
+    };
+
+    const save = () => {
+        writeJsonAtomic(options.file, items);
+    };
+
+    const changed = () => {
+        save();
+        if (options.onChange) options.onChange(items);
+    };
+
+    // job = delivery queue job data, ruleKey = which rule it belongs to (for digests)
+    const hold = (job, schedule, ruleKey) => {
+        const now = Date.now();
+        let releaseAt;
+        let digestId = null;
+        let collectUntil;
+
+        if (schedule.digestMinutes) {
+            // Join the open batch for this rule and target, or start a new one
+            const open = items.find(i => i.digestId && i.ruleKey === ruleKey && i.job.targetId === job.targetId && i.collectUntil > now);
+            if (open) {
+                ({ digestId, releaseAt, collectUntil } = open);
+            } else {
+                digestId = crypto.randomUUID();
+                collectUntil = now + schedule.digestMinutes * 60000;
+                releaseAt = nextAllowedTime(schedule, collectUntil);
+            }
+        } else {
+            releaseAt = nextAllowedTime(schedule, now + (schedule.delayMinutes || 0) * 60000);
+        }
+
+        // Nothing to wait for
+        if (!digestId && releaseAt <= now) return null;
+
+        const item = {
+            id: crypto.randomUUID(),
+            ruleKey: ruleKey,
+            job: job,
+            heldAt: now,
+            releaseAt: releaseAt,
+            digestId: digestId,
+            collectUntil: collectUntil
+        };
+        items.push(item);
+        changed();
+        return item;
+    };
+
+    const tick = () => {
+        const now = Date.now();
+        const due = items.filter(i => i.releaseAt <= now);
+        if (due.length > 0) {
+            items = items.filter(i => i.releaseAt > now);
+            save();
+
+            // Digest batches go out together, in the order they arrived
+            const batches = new Map();
+            for (const item of due) {
+                const key = item.digestId || item.id;
+                if (!batches.has(key)) batches.set(key, []);
+                batches.get(key).push(item);
+            }
+            for (const batch of batches.values()) {
+                try {
+                    options.release(batch);
+                } catch (e) {
+                    options.log('Error releasing scheduled deliveries', e);
+                }
+            }
+            if (options.onChange) options.onChange(items);
+        }
+    };
+
+    const discard = (id) => {
+        const item = items.find(i => i.id === id);
+        if (!item) return null;
+        items = items.filter(i => i !== item);
+        changed();
+        return item;
+    };
+
+    const start = () => {
+        load();
+        tick();
+        timer = setInterval(tick, 10000);
+    };
+
+    const stop = () => {
+        if (timer) clearInterval(timer);
+        timer = null;
+    };
+
+    return {
+        start,
+        stop,
+        hold,
+        discard,
+        items: () => items.slice()
+    };
+};
+
+module.exports = { createScheduler, normalizeSchedule, getReleaseTime };
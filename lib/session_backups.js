@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+
+// Copies of an account's WhatsApp Web login (its LocalAuth folder), taken before anything resets
+// it, so a reset that turns out to be a false alarm doesn't mean scanning a QR code again.
+// <dir>/<accountId>/<timestamp>/ holds the session folder plus backup.json ({ createdAt, reason }).
+// Chrome's caches are left out, they're large and rebuilt on their own.
+// Only the newest `keep` backups of each account are kept.
+//
+// options = {
+//     dir,
+//     getSessionDir: (accountId) => path of the account's session folder,
+//     keep: 3
+// }
+
+const SKIPPED_DIRS = ['Cache', 'Code Cache', 'GPUCache', 'Service Worker/CacheStorage', 'Service Worker/ScriptCache'];
+const META_FILE = 'backup.json';
+const BACKUP_ID_PATTERN = /^[0-9TZ-]+$/;
+
+const createSessionBackups = (options) => {
+    const keep = options.keep || 3;
+    const accountDir = (accountId) => path.join(options.dir, accountId);
+
+    // Lock files point at the Chrome process that wrote them and must not come back
+    const shouldCopy = (root) => (src) => {
+        const rel = `/${path.relative(root, src).split(path.sep).join('/')}/`;
+        if (/\/Singleton[^/]*\/$/.test(rel)) return false;
+        return !SKIPPED_DIRS.some(dir => rel.includes(`/${dir}/`));
+    };
+
+    const list = (accountId) => {
+        const dir = accountDir(accountId);
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir)
+            .filter(id => BACKUP_ID_PATTERN.test(id))
+            .map(id => {
+                let meta = {};
+                try {
+                    meta = JSON.parse(fs.readFileSync(path.join(dir, id, META_FILE)));
+                } catch (e) { }
+                return { id, account: accountId, createdAt: meta.createdAt || null, reason: meta.reason || null };
+            })
+            .sort((a, b) => b.id.localeCompare(a.id)); // newest first
+    };
+
+    const prune = (accountId) => {
+        list(accountId).slice(keep).forEach(old => {
+            fs.rmSync(path.join(accountDir(accountId), old.id), { recursive: true, force: true });
+        });
+    };
+
+    const copySession = (accountId, reason) => {
+        const sessionDir = options.getSessionDir(accountId);
+        if (!fs.existsSync(sessionDir)) return null;
+
+        const createdAt = Date.now();
+        const id = new Date(createdAt).toISOString().replace(/[:.]/g, '-');
+        const target = path.join(accountDir(accountId), id);
+        try {
+            fs.cpSync(sessionDir, target, { recursive: true, filter: shouldCopy(sessionDir) });
+            fs.writeFileSync(path.join(target, META_FILE), JSON.stringify({ createdAt, reason }));
+        } catch (e) {
+            fs.rmSync(target, { recursive: true, force: true });
+            throw e;
+        }
+        return { id, account: accountId, createdAt, reason, path: target };
+    };
+
+    // Returns the new backup, or null when the account has no session on disk. Throws if the copy fails.
+    const backup = (accountId, reason) => {
+        const created = copySession(accountId, reason);
+        prune(accountId);
+        return created;
+    };
+
+    // Replace the account's session folder with a backup, the client must be stopped.
+    // The session being replaced is backed up first; returns that backup (null if there was none).
+    const restore = (accountId, id) => {
+        const source = BACKUP_ID_PATTERN.test(id) ? path.join(accountDir(accountId), id) : null;
+        if (!source || !fs.existsSync(source)) {
+            const err = new Error('Backup not found');
+            err.status = 404;
+            throw err;
+        }
+        const previous = copySession(accountId, `before restoring ${id}`);
+        const sessionDir = options.getSessionDir(accountId);
+        fs.rmSync(sessionDir, { recursive: true, force: true });
+        fs.cpSync(source, sessionDir, { recursive: true, filter: (src) => path.basename(src) !== META_FILE });
+        // Not pruned here, the restored backup stays around in case it doesn't work out either
+        return previous;
+    };
+
+    return { backup, restore, list };
+};
+
+module.exports = { createSessionBackups };
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+// Outbound webhooks
+// config.webhooks = [{
+//     id: 'hook_1a2b3c4d',
+//     url: 'http://localhost:5678/webhook/whatsapp',
+//     secret: 'shared-secret',          // signs every request, see below (optional)
+//     events: ['message.forwarded'],    // or ['*'] for everything
+//     enabled: true
+// }]
+//
+// Every event is POSTed as JSON: { id, event, time, data }
+// Headers: X-Webhook-Event, X-Webhook-Id, X-Webhook-Timestamp and
+// X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`) in hex.
+// Receivers should recompute it and reject old timestamps to stop replays.
+// Hooks without a secret send no signature header at all, so they can't pass for signed ones.
+// Failed deliveries (network error or non-2xx) are retried with backoff.
+
+const WEBHOOK_EVENTS = [
+    'message.forwarded',
+    'delivery.failed',
+    'account.disconnected',
+    'account.auth_failure',
+    'account.qr'
+];
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 10 * 1000; // 10s, 20s, 40s, ...
+const TIMEOUT_MS = 10 * 1000;
+
+const newWebhookId = () => `hook_${crypto.randomBytes(4).toString('hex')}`;
+
+const sign = (secret, timestamp, body) => {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Check a webhook body, returns it in canonical form or throws with err.details
+const validateWebhook = (input) => {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        errors.push('webhook must be a JSON object');
+    } else {
+        let url = null;
+        try {
+            url = new URL(input.url);
+        } catch (e) { }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) errors.push('url must be an http(s) URL');
+
+        if (input.secret !== undefined && typeof input.secret !== 'string') errors.push('secret must be a string');
+        if (input.enabled !== undefined && typeof input.enabled !== 'boolean') errors.push('enabled must be true or false');
+
+        if (!Array.isArray(input.events) || input.events.length === 0) {
+            errors.push('events must be a non-empty list');
+        } else {
+            const unknown = input.events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+            if (unknown.length > 0) errors.push(`unknown event(s) ${unknown.join(', ')}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        const err = new Error(`Invalid webhook: ${errors.join('; ')}`);
+        err.details = errors;
+        throw err;
+    }
+
+    return {
+        id: input.id || newWebhookId(),
+        url: input.url,
+        secret: input.secret || undefined,
+        events: [...new Set(input.events)],
+        enabled: input.enabled !== false
+    };
+};
+
+// options = {
+//     getHooks: () => config.webhooks,
+//     log: (message)    // failed deliveries
+// }
+const createWebhooks = (options) => {
+    const post = async (hook, payload) => {
+        const body = JSON.stringify(payload);
+        const timestamp = String(Date.now());
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'autoforwarder-webhooks',
+            'X-Webhook-Event': payload.event,
+            'X-Webhook-Id': payload.id,
+            'X-Webhook-Timestamp': timestamp
+        };
+        if (hook.secret) headers['X-Webhook-Signature'] = sign(hook.secret, timestamp, body);
+        const res = await fetch(hook.url, {
+            method: 'POST',
+            headers: headers,
+            body: body,
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    };
+
+    const deliver = async (hook, payload, attempt) => {
+        try {
+            await post(hook, payload);
+        } catch (e) {
+            if (attempt >= MAX_ATTEMPTS) {
+                options.log(`!! Webhook ${hook.url} failed ${attempt} times for ${payload.event}: ${e.message}`);
+                return;
+            }
+            const delay = RETRY_BASE_MS * Math.pow(2, attempt - 1);
+            options.log(`Webhook ${hook.url} failed (${e.message}), retrying in ${delay / 1000}s`);
+            setTimeout(() => {
+                // Don't keep retrying into a hook that was removed or switched off meanwhile
+                const current = (options.getHooks() || []).find(h => h.id === hook.id);
+                if (current && current.enabled !== false) deliver(current, payload, attempt + 1);
+            }, delay);
+        }
+    };
+
+    const emit = (event, data) => {
+        const hooks = (options.getHooks() || []).filter(h =>
+            h.enabled !== false && (h.events.includes('*') || h.events.includes(event)));
+        if (hooks.length === 0) return;
+
+        const payload = { id: crypto.randomUUID(), event, time: new Date().toISOString(), data };
+        hooks.forEach(hook => deliver(hook, payload, 1));
+    };
+
+    // One attempt, no retries, errors go back to the caller
+    const test = (hook) => post(hook, { id: crypto.randomUUID(), event: 'test', time: new Date().toISOString(), data: {} });
+
+    return { emit, test };
+};
+
+module.exports = { createWebhooks, validateWebhook, WEBHOOK_EVENTS };
@@ -1,57 +1,116 @@
 const socket = io();
 
 // State
-let availableGroups = [];
+let availableGroups = []; // chats of every account: { id, name, type, account, participants, isAdmin, isMember, canPost, description }
+let accounts = [];
+const qrCodes = {}; // account ID -> latest QR code image
+let currentRules = [];
+let editingRuleId = null; // set while the form is editing an existing rule
+let currentUser = null;
+let currentSettings = {};
+let ruleProblems = {}; // rule ID -> problems with its groups, from the server
+let historyPage = 1;
+const HISTORY_PAGE_SIZE = 25;
+let logEntries = []; // structured events from the server (see lib/logger.js) and local notes
+let logsPaused = false;
+let logsMissed = 0; // entries that came in while paused
+const MAX_LOG_ENTRIES = 1000;
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Message kinds a rule can forward (must match lib/message_types.js)
+const MESSAGE_TYPES = [
+    { id: 'image', label: 'Images' },
+    { id: 'video', label: 'Videos' },
+    { id: 'text', label: 'Text' },
+    { id: 'audio', label: 'Audio' },
+    { id: 'voice', label: 'Voice Notes' },
+    { id: 'document', label: 'Documents' },
+    { id: 'sticker', label: 'Stickers' },
+    { id: 'location', label: 'Locations' },
+    { id: 'contact', label: 'Contacts' },
+    { id: 'poll', label: 'Polls' }
+];
+// Rules without `types` only forward images and videos
+const DEFAULT_TYPES = ['image', 'video'];
+const DEFAULT_ACCOUNT = 'default';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Chat names, errors and anything else users or other WhatsApp users typed go through this
+// before they're put into innerHTML
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
 
 // Elements
 const statusBadge = document.getElementById('status-badge');
-const qrContainer = document.getElementById('qr-container');
-const qrImage = document.getElementById('qr-image');
-const qrLoading = document.getElementById('qr-loading');
-const qrText = document.getElementById('qr-text');
+const accountsList = document.getElementById('accounts-list');
+const sourceAccountSelect = document.getElementById('source-account');
+const targetAccountSelect = document.getElementById('target-account');
 const connectionSection = document.getElementById('connection-section');
 const dashboardSection = document.getElementById('dashboard-section');
 const sourceSelect = document.getElementById('source-select');
 const targetSelect = document.getElementById('target-select');
 const rulesList = document.getElementById('rules-list');
+const addRuleBtn = document.getElementById('add-rule-btn');
+const cancelEditBtn = document.getElementById('cancel-edit-btn');
 const logsContainer = document.getElementById('logs-container');
+const logLevelSelect = document.getElementById('log-level');
+const logGroupSelect = document.getElementById('log-group');
+const logSearchInput = document.getElementById('log-search');
+const logPauseBtn = document.getElementById('log-pause-btn');
+const logPausedInfo = document.getElementById('log-paused-info');
+const typeOptions = document.getElementById('type-options');
+const queuePending = document.getElementById('queue-pending');
+const queueFailed = document.getElementById('queue-failed');
+const failedJobs = document.getElementById('failed-jobs');
+const scheduledCount = document.getElementById('scheduled-count');
+const scheduledList = document.getElementById('scheduled-list');
+const historySection = document.getElementById('history-section');
+const historyBody = document.getElementById('history-body');
+const historyPageLabel = document.getElementById('history-page');
+const dryRunToggle = document.getElementById('dry-run-toggle');
+const testResults = document.getElementById('test-results');
 
 // Socket Events
-socket.on('status', (status) => {
-    statusBadge.innerText = status;
-    statusBadge.style.borderColor = status === 'Connected' ? '#10b981' : '#ef4444';
-
-    if (status === 'Connected') {
-        connectionSection.style.display = 'none';
-        dashboardSection.style.display = 'block';
-    } else if (status === 'Scan QR Code' || status.startsWith('Disconnected') || status.startsWith('Auth Failure')) {
-        connectionSection.style.display = 'block';
-        dashboardSection.style.display = 'none';
-
-        // Reset QR if disconnected
-        if (status.startsWith('Disconnected')) {
-            qrImage.style.display = 'none';
-            qrLoading.style.display = 'block';
-            qrText.style.display = 'block';
-            qrText.innerText = 'Disconnected. Restarting engine...';
-        }
-    }
+socket.on('connect_error', (err) => {
+    if (err.message === 'unauthorized') window.location.href = '/login.html';
 });
 
-socket.on('qr', (url) => {
-    qrImage.src = url;
-    qrImage.style.display = 'block';
-    qrLoading.style.display = 'none';
-    qrText.style.display = 'none';
+socket.on('accounts', (list) => {
+    const wasConnected = accounts.some(a => a.status === 'Connected');
+    accounts = list;
+    const connected = accounts.filter(a => a.status === 'Connected').length;
+
+    statusBadge.innerText = accounts.length === 1 ? accounts[0].status : `${connected}/${accounts.length} connected`;
+    statusBadge.style.borderColor = connected === accounts.length ? '#10b981' : (connected > 0 ? '#f59e0b' : '#ef4444');
+
+    // The dashboard is usable as soon as one account is connected
+    dashboardSection.style.display = connected > 0 ? 'block' : 'none';
+    historySection.style.display = connected > 0 ? 'block' : 'none';
+    if (connected > 0 && !wasConnected) loadHistory(historyPage);
+
+    renderAccounts();
+    renderAccountOptions();
 });
 
-socket.on('ready', () => {
-    addLog('Client ready. Fetching groups...');
+socket.on('qr', ({ account, url }) => {
+    qrCodes[account] = url;
+    renderAccounts();
+});
+
+socket.on('ready', ({ account }) => {
+    addLog(`${getAccountName(account)} ready. Fetching chats...`);
     reloadConfig();
 });
 
-socket.on('log', (msg) => {
-    addLog(msg);
+socket.on('log', (entry) => {
+    addLog(entry);
+});
+
+// Recent history, sent on every (re)connect
+socket.on('logs', (entries) => {
+    logEntries = entries.slice(-MAX_LOG_ENTRIES);
+    renderLogs();
 });
 
 socket.on('groups', (groups) => {
@@ -59,53 +118,795 @@ socket.on('groups', (groups) => {
     populateSelects();
 });
 
+socket.on('queue', (summary) => {
+    renderQueue(summary);
+});
+
+socket.on('scheduled', (items) => {
+    renderScheduled(items);
+});
+
+socket.on('moderation', (items) => {
+    renderModeration(items);
+});
+
+socket.on('backfills', (backfills) => {
+    renderBackfills(backfills);
+});
+
+socket.on('ruleProblems', (problems) => {
+    ruleProblems = problems;
+    renderRules(currentRules);
+});
+
+socket.on('settings', (settings) => {
+    currentSettings = settings;
+    document.getElementById('dry-run-badge').style.display = settings.dryRun ? 'block' : 'none';
+    dryRunToggle.checked = Boolean(settings.dryRun);
+});
+
 // Helper Functions
+
+// fetch() that sends the user back to the login page once the session is gone
+async function apiFetch(url, options) {
+    const res = await fetch(url, options);
+    if (res.status === 401) window.location.href = '/login.html';
+    return res;
+}
+
+async function loadUser() {
+    try {
+        const res = await apiFetch('/api/me');
+        currentUser = await res.json();
+        document.body.classList.add(`role-${currentUser.role}`);
+        document.getElementById('user-badge').innerText = `${currentUser.name} (${currentUser.role})`;
+        renderAccounts();
+        if (currentUser.role === 'admin') loadWebhooks();
+    } catch (e) {
+        console.error(e);
+    }
+}
+
+// msg: a server log entry, or a plain string for notes from this page
 function addLog(msg) {
+    const entry = typeof msg === 'string'
+        ? { time: new Date().toISOString(), level: 'info', category: 'ui', message: msg }
+        : msg;
+    logEntries.push(entry);
+    if (logEntries.length > MAX_LOG_ENTRIES) logEntries.shift();
+
+    if (logsPaused) {
+        logsMissed++;
+        logPausedInfo.innerText = `${logsMissed} new`;
+        return;
+    }
+    if (matchesLogFilters(entry)) logsContainer.prepend(renderLogEntry(entry));
+    while (logsContainer.children.length > MAX_LOG_ENTRIES) logsContainer.lastChild.remove();
+}
+
+function formatLogEntry(entry) {
+    const account = entry.account && accounts.length > 1 ? `[${getAccountName(entry.account)}] ` : '';
+    const error = entry.error ? `: ${entry.error}` : '';
+    return `[${new Date(entry.time).toLocaleTimeString()}] ${account}${entry.message}${error}`;
+}
+
+function matchesLogFilters(entry) {
+    if (LOG_LEVELS.indexOf(entry.level) < LOG_LEVELS.indexOf(logLevelSelect.value)) return false;
+    if (logGroupSelect.value && entry.group !== logGroupSelect.value) return false;
+    const search = logSearchInput.value.trim().toLowerCase();
+    return !search || formatLogEntry(entry).toLowerCase().includes(search) || (entry.msgId || '').toLowerCase().includes(search);
+}
+
+function renderLogEntry(entry) {
     const div = document.createElement('div');
-    div.className = 'log-entry';
-    div.innerText = `[${new Date().toLocaleTimeString()}] ${msg}`;
-    logsContainer.prepend(div);
+    div.className = `log-entry log-${entry.level}`;
+    div.title = [entry.category, entry.rule, entry.group, entry.msgId].filter(Boolean).join(' · ');
+    div.innerText = formatLogEntry(entry);
+    return div;
+}
+
+// Full redraw, also catches up on anything that came in while paused
+function renderLogs() {
+    logsMissed = 0;
+    logPausedInfo.innerText = '';
+    logsContainer.innerHTML = '';
+    logEntries.filter(matchesLogFilters).reverse().forEach(entry => logsContainer.appendChild(renderLogEntry(entry)));
+}
+
+function getAccountName(id) {
+    const account = accounts.find(a => a.id === (id || DEFAULT_ACCOUNT));
+    return account ? account.name : id;
+}
+
+function renderAccounts() {
+    accountsList.innerHTML = '';
+    accounts.forEach(account => {
+        const connected = account.status === 'Connected';
+        const scanning = account.status === 'Scan QR Code';
+        const isAdmin = currentUser && currentUser.role === 'admin';
+
+        let qrHtml = '';
+        if (scanning && qrCodes[account.id]) {
+            qrHtml = `<img class="qr-image" src="${qrCodes[account.id]}" alt="QR Code">`;
+        } else if (scanning && !isAdmin) {
+            qrHtml = '<p class="qr-text">Waiting for an admin to link the device...</p>';
+        } else if (!connected) {
+            const text = account.status.startsWith('Disconnected') ? 'Disconnected. Restarting engine...' : 'Starting WhatsApp Engine... Please wait.';
+            qrHtml = `<div class="spinner"></div><p class="qr-text">${text}</p>`;
+        }
+
+        const div = document.createElement('div');
+        div.className = 'account-panel';
+        div.innerHTML = `
+            <div class="account-header">
+                <div>
+                    <strong>${escapeHtml(account.name)}</strong>
+                    <span class="rule-types">${account.number ? `+${account.number} · ` : ''}${account.chats} chats, ${account.groups} groups</span>
+                </div>
+                <div class="rule-actions">
+                    <span class="status-badge" style="border-color:${connected ? '#10b981' : '#ef4444'}">${account.status}</span>
+                    <button class="delete-btn retry-btn admin-only" onclick="relinkAccount('${account.id}')">Re-link</button>
+                    <button class="delete-btn retry-btn admin-only" onclick="restoreSessionBackup('${account.id}')">Backups</button>
+                    ${account.id !== DEFAULT_ACCOUNT ? `<button class="delete-btn admin-only" onclick="removeAccount('${account.id}')">Remove</button>` : ''}
+                </div>
+            </div>
+            ${qrHtml ? `<div class="account-qr">${qrHtml}</div>` : ''}
+        `;
+        accountsList.appendChild(div);
+
+        if (connected) delete qrCodes[account.id];
+    });
+}
+
+// Account pickers in the rule form, only shown once there's more than one account
+function renderAccountOptions() {
+    const opts = accounts.map(a => `<option value="${a.id}">${escapeHtml(a.name)}</option>`).join('');
+    for (const select of [sourceAccountSelect, targetAccountSelect]) {
+        const selected = select.value || DEFAULT_ACCOUNT;
+        select.innerHTML = opts;
+        select.value = accounts.some(a => a.id === selected) ? selected : DEFAULT_ACCOUNT;
+    }
+    document.getElementById('account-pickers').style.display = accounts.length > 1 ? 'block' : 'none';
+}
+
+const CHAT_ICONS = { group: '👥', contact: '👤', channel: '📢', broadcast: '📣' };
+
+// "👥 Name (12 members, admin)", with a warning when we can't post there
+function groupLabel(g) {
+    const type = g.type || 'group';
+    const details = type === 'group' ? [`${g.participants} members`] : [];
+    if (g.isAdmin) details.push('admin');
+    if (!g.isMember) details.push('⚠ no longer a member');
+    else if (!g.canPost) details.push(type === 'group' ? '🔒 only admins can post' : '🔒 read only');
+    return `${CHAT_ICONS[type]} ${escapeHtml(g.name)}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+}
+
+function groupOption(g) {
+    return `<option value="${escapeHtml(g.id)}" data-type="${g.type || 'group'}" title="${escapeHtml(g.description || '')}">${groupLabel(g)}</option>`;
+}
+
+function groupOptions(accountId) {
+    return availableGroups
+        .filter(g => g.account === accountId)
+        .map(groupOption).join('');
+}
+
+// Hide options that don't match the search box and chat type picked above a chat picker (selected ones stay)
+function applySelectSearch(input) {
+    const select = document.getElementById(input.dataset.select);
+    const search = input.value.trim().toLowerCase();
+    const typeSelect = document.querySelector(`.select-type[data-select="${input.dataset.select}"]`);
+    const type = typeSelect ? typeSelect.value : '';
+    Array.from(select.options).forEach(option => {
+        const matches = (!search || option.text.toLowerCase().includes(search)) &&
+            (!type || !option.value || option.dataset.type === type);
+        option.hidden = !matches && !option.selected;
+    });
+}
+
+function applySelectSearches() {
+    document.querySelectorAll('.select-search').forEach(applySelectSearch);
+}
+
+// Group pickers list the groups of the account picked for each side
+function renderGroupOptions() {
+    const source = sourceSelect.value;
+    const targets = getSelectedTargets();
+    sourceSelect.innerHTML = '<option value="">Select Source Chat</option>' + groupOptions(sourceAccountSelect.value || DEFAULT_ACCOUNT);
+    targetSelect.innerHTML = groupOptions(targetAccountSelect.value || DEFAULT_ACCOUNT);
+    sourceSelect.value = source;
+    selectTargets(targets);
+    applySelectSearches();
 }
 
 function populateSelects() {
-    const opts = availableGroups.map(g => `<option value="${g.id}">${g.name}</option>`).join('');
-    sourceSelect.innerHTML = '<option value="">Select Source Group</option>' + opts;
-    targetSelect.innerHTML = '<option value="">Select Target Group</option>' + opts;
+    renderGroupOptions();
+
+    // Every group once, whichever accounts are in it
+    const seen = new Set();
+    const opts = availableGroups.filter(g => !seen.has(g.id) && seen.add(g.id))
+        .map(g => `<option value="${escapeHtml(g.id)}">${escapeHtml(g.name)}</option>`).join('');
+    const historyGroup = document.getElementById('history-group');
+    const selectedGroup = historyGroup.value;
+    historyGroup.innerHTML = '<option value="">All chats</option>' + opts;
+    historyGroup.value = selectedGroup;
+    const testSource = document.getElementById('test-source');
+    const selectedTestSource = testSource.value;
+    testSource.innerHTML = opts;
+    if (selectedTestSource) testSource.value = selectedTestSource;
+    applySelectSearches();
+    const selectedLogGroup = logGroupSelect.value;
+    logGroupSelect.innerHTML = '<option value="">All chats</option>' + opts;
+    logGroupSelect.value = selectedLogGroup;
     // Re-render rules with names if possible
     reloadConfig();
 }
 
 function getGroupName(id) {
     const g = availableGroups.find(g => g.id === id);
-    return g ? g.name : id.substring(0, 15) + '...';
+    return g ? g.name : `⚠ unknown chat ${id.substring(0, 15)}...`;
+}
+
+function renderTypeOptions() {
+    typeOptions.innerHTML = MESSAGE_TYPES.map(t => `
+        <label><input type="checkbox" value="${t.id}" ${DEFAULT_TYPES.includes(t.id) ? 'checked' : ''}> ${t.label}</label>
+    `).join('');
+}
+
+function renderTestOptions() {
+    document.getElementById('test-type').innerHTML = MESSAGE_TYPES.map(t => `<option value="${t.id}">${t.label}</option>`).join('');
+}
+
+function renderScheduleOptions() {
+    document.getElementById('schedule-timezone').value = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    document.getElementById('schedule-days').innerHTML = WEEKDAYS.map((day, index) =>
+        `<label><input type="checkbox" value="${index}" checked> ${day}</label>`
+    ).join('');
+}
+
+function getSchedule() {
+    const value = (id) => document.getElementById(id).value;
+    const days = Array.from(document.querySelectorAll('#schedule-days input:checked')).map(cb => parseInt(cb.value));
+
+    const schedule = {
+        activeHours: value('schedule-active-start') || value('schedule-active-end')
+            ? { start: value('schedule-active-start'), end: value('schedule-active-end') } : undefined,
+        quietHours: value('schedule-quiet-start') || value('schedule-quiet-end')
+            ? { start: value('schedule-quiet-start'), end: value('schedule-quiet-end') } : undefined,
+        days: days.length < 7 ? days : undefined,
+        delayMinutes: parseFloat(value('schedule-delay')) || undefined,
+        digestMinutes: parseFloat(value('schedule-digest')) || undefined
+    };
+
+    Object.keys(schedule).forEach(key => schedule[key] === undefined && delete schedule[key]);
+    if (Object.keys(schedule).length === 0) return undefined;
+
+    schedule.timeZone = value('schedule-timezone').trim() || undefined;
+    return schedule;
+}
+
+function describeSchedule(schedule) {
+    const parts = [];
+    if (schedule.activeHours) parts.push(`${schedule.activeHours.start}–${schedule.activeHours.end}`);
+    if (schedule.quietHours) parts.push(`quiet ${schedule.quietHours.start}–${schedule.quietHours.end}`);
+    if (schedule.days) parts.push(schedule.days.map(d => WEEKDAYS[d]).join('/'));
+    if (schedule.delayMinutes) parts.push(`${schedule.delayMinutes} min delay`);
+    if (schedule.digestMinutes) parts.push(`digest every ${schedule.digestMinutes} min`);
+    return `${parts.join(' · ')} (${schedule.timeZone})`;
+}
+
+function getSelectedTargets() {
+    return Array.from(targetSelect.selectedOptions).map(o => o.value);
+}
+
+// Select the given targets, adding options for groups the account no longer lists so editing keeps them
+function selectTargets(targets) {
+    targets.forEach(id => {
+        if (!Array.from(targetSelect.options).some(o => o.value === id)) {
+            targetSelect.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(id)}">${escapeHtml(id)}</option>`);
+        }
+    });
+    Array.from(targetSelect.options).forEach(o => { o.selected = targets.includes(o.value); });
+}
+
+function getSelectedTypes() {
+    return Array.from(typeOptions.querySelectorAll('input:checked')).map(cb => cb.value);
+}
+
+// Split a textarea by line, or an input by comma/line
+function splitList(value, byLineOnly) {
+    return value.split(byLineOnly ? /\n/ : /[\n,]/).map(v => v.trim()).filter(Boolean);
+}
+
+function mbToBytes(value) {
+    const mb = parseFloat(value);
+    return mb > 0 ? Math.round(mb * 1024 * 1024) : undefined;
+}
+
+function getFilters() {
+    const filters = {
+        include: splitList(document.getElementById('filter-include').value, true),
+        exclude: splitList(document.getElementById('filter-exclude').value, true),
+        allowSenders: splitList(document.getElementById('filter-allow-senders').value),
+        blockSenders: splitList(document.getElementById('filter-block-senders').value),
+        mimeTypes: splitList(document.getElementById('filter-mime-types').value),
+        minSize: mbToBytes(document.getElementById('filter-min-size').value),
+        maxSize: mbToBytes(document.getElementById('filter-max-size').value)
+    };
+
+    // Drop empty fields so rules without filters stay clean
+    Object.keys(filters).forEach(key => {
+        const value = filters[key];
+        if (value === undefined || (Array.isArray(value) && value.length === 0)) delete filters[key];
+    });
+    return Object.keys(filters).length > 0 ? filters : undefined;
+}
+
+function getCaptionOptions() {
+    const replace = splitList(document.getElementById('caption-replace').value, true)
+        .map(line => {
+            const [find, ...rest] = line.split('=>');
+            return { find: find.trim(), replace: rest.join('=>').trim() };
+        })
+        .filter(pair => pair.find);
+
+    const caption = {
+        template: document.getElementById('caption-template').value.trim() || undefined,
+        stripUrls: document.getElementById('caption-strip-urls').checked || undefined,
+        stripPhones: document.getElementById('caption-strip-phones').checked || undefined,
+        replace: replace.length ? replace : undefined,
+        prefix: document.getElementById('caption-prefix').value || undefined,
+        suffix: document.getElementById('caption-suffix').value || undefined
+    };
+
+    Object.keys(caption).forEach(key => caption[key] === undefined && delete caption[key]);
+    if (Object.keys(caption).length === 0) return undefined;
+
+    caption.onFallback = document.getElementById('caption-on-fallback').value;
+    return caption;
+}
+
+function getMediaOptions() {
+    const number = (id) => parseFloat(document.getElementById(id).value) || undefined;
+    const watermarkFile = document.getElementById('media-watermark-file').value.trim();
+
+    const media = {
+        transcodeVideo: document.getElementById('media-transcode').checked || undefined,
+        maxVideoMB: number('media-max-video-mb'),
+        maxVideoHeight: number('media-max-video-height'),
+        maxImageDimension: number('media-max-image-dimension'),
+        maxImageMB: number('media-max-image-mb'),
+        imageQuality: number('media-image-quality'),
+        watermark: watermarkFile ? {
+            file: watermarkFile,
+            position: document.getElementById('media-watermark-position').value,
+            width: number('media-watermark-width')
+        } : undefined
+    };
+
+    Object.keys(media).forEach(key => media[key] === undefined && delete media[key]);
+    return Object.keys(media).length > 0 ? media : undefined;
+}
+
+function setValue(id, value) {
+    document.getElementById(id).value = value === undefined || value === null ? '' : value;
+}
+
+function setChecked(id, value) {
+    document.getElementById(id).checked = Boolean(value);
+}
+
+function bytesToMb(bytes) {
+    return bytes ? +(bytes / 1024 / 1024).toFixed(2) : '';
+}
+
+// Load a rule into the form (an empty rule clears it)
+function fillForm(rule) {
+    setValue('rule-name', rule.name);
+    sourceAccountSelect.value = rule.sourceAccount || DEFAULT_ACCOUNT;
+    targetAccountSelect.value = rule.targetAccount || DEFAULT_ACCOUNT;
+    renderGroupOptions();
+    sourceSelect.value = rule.source || '';
+    selectTargets(rule.targets || []);
+
+    const types = rule.types && rule.types.length ? rule.types : DEFAULT_TYPES;
+    typeOptions.querySelectorAll('input').forEach(cb => { cb.checked = types.includes(cb.value); });
+    setChecked('sync-edits', rule.syncEdits);
+    setChecked('sync-deletes', rule.syncDeletes);
+    setChecked('rule-dry-run', rule.dryRun);
+    setChecked('rule-moderated', rule.moderated);
+    setValue('max-hops', rule.maxHops);
+
+    const filters = rule.filters || {};
+    setValue('filter-include', (filters.include || []).join('\n'));
+    setValue('filter-exclude', (filters.exclude || []).join('\n'));
+    setValue('filter-allow-senders', (filters.allowSenders || []).join(', '));
+    setValue('filter-block-senders', (filters.blockSenders || []).join(', '));
+    setValue('filter-mime-types', (filters.mimeTypes || []).join(', '));
+    setValue('filter-min-size', bytesToMb(filters.minSize));
+    setValue('filter-max-size', bytesToMb(filters.maxSize));
+
+    const caption = rule.caption || {};
+    setValue('caption-template', caption.template);
+    setChecked('caption-strip-urls', caption.stripUrls);
+    setChecked('caption-strip-phones', caption.stripPhones);
+    setValue('caption-replace', (caption.replace || []).map(pair => `${pair.find} => ${pair.replace}`).join('\n'));
+    setValue('caption-prefix', caption.prefix);
+    setValue('caption-suffix', caption.suffix);
+    setValue('caption-on-fallback', caption.onFallback || 'forward');
+
+    const schedule = rule.schedule || {};
+    setValue('schedule-timezone', schedule.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone);
+    document.querySelectorAll('#schedule-days input').forEach(cb => {
+        cb.checked = !schedule.days || schedule.days.includes(parseInt(cb.value));
+    });
+    setValue('schedule-active-start', schedule.activeHours && schedule.activeHours.start);
+    setValue('schedule-active-end', schedule.activeHours && schedule.activeHours.end);
+    setValue('schedule-quiet-start', schedule.quietHours && schedule.quietHours.start);
+    setValue('schedule-quiet-end', schedule.quietHours && schedule.quietHours.end);
+    setValue('schedule-delay', schedule.delayMinutes);
+    setValue('schedule-digest', schedule.digestMinutes);
+
+    const media = rule.media || {};
+    const watermark = media.watermark || {};
+    setChecked('media-transcode', media.transcodeVideo);
+    setValue('media-max-video-mb', media.maxVideoMB);
+    setValue('media-max-video-height', media.maxVideoHeight);
+    setValue('media-max-image-dimension', media.maxImageDimension);
+    setValue('media-max-image-mb', media.maxImageMB);
+    setValue('media-image-quality', media.imageQuality);
+    setValue('media-watermark-file', watermark.file);
+    setValue('media-watermark-position', watermark.position || 'bottom-right');
+    setValue('media-watermark-width', watermark.width);
+}
+
+function stopEditing() {
+    editingRuleId = null;
+    fillForm({});
+    addRuleBtn.innerText = 'Add Rule';
+    cancelEditBtn.style.display = 'none';
+}
+
+function describeMedia(media) {
+    const parts = [];
+    if (media.transcodeVideo) parts.push('MP4 conversion');
+    if (media.maxVideoMB) parts.push(`videos ≤ ${media.maxVideoMB} MB`);
+    if (media.maxVideoHeight) parts.push(`≤ ${media.maxVideoHeight}p`);
+    if (media.maxImageDimension) parts.push(`images ≤ ${media.maxImageDimension}px`);
+    if (media.maxImageMB) parts.push(`images ≤ ${media.maxImageMB} MB`);
+    if (media.watermark) parts.push('watermark');
+    return parts.join(' · ');
+}
+
+function describeCaption(caption) {
+    const parts = [];
+    if (caption.template) parts.push('template');
+    if (caption.stripUrls) parts.push('no links');
+    if (caption.stripPhones) parts.push('no numbers');
+    if (caption.replace) parts.push(`${caption.replace.length} replacement(s)`);
+    if (caption.prefix || caption.suffix) parts.push('prefix/suffix');
+    if (caption.onFallback === 'skip') parts.push('no fallback');
+    return parts.join(' · ');
+}
+
+function describeFilters(filters) {
+    if (!filters) return '';
+    const parts = [];
+    if (filters.include) parts.push(`include: ${filters.include.join(' | ')}`);
+    if (filters.exclude) parts.push(`exclude: ${filters.exclude.join(' | ')}`);
+    if (filters.allowSenders) parts.push(`only from: ${filters.allowSenders.join(', ')}`);
+    if (filters.blockSenders) parts.push(`blocked: ${filters.blockSenders.join(', ')}`);
+    if (filters.mimeTypes) parts.push(`MIME: ${filters.mimeTypes.join(', ')}`);
+    if (filters.minSize) parts.push(`min ${(filters.minSize / 1024 / 1024).toFixed(1)} MB`);
+    if (filters.maxSize) parts.push(`max ${(filters.maxSize / 1024 / 1024).toFixed(1)} MB`);
+    return parts.join(' · ');
+}
+
+function getTypeLabels(types) {
+    return (types && types.length ? types : DEFAULT_TYPES)
+        .map(id => (MESSAGE_TYPES.find(t => t.id === id) || { label: id }).label)
+        .join(', ');
+}
+
+function describeRule(rule) {
+    return rule.name || `${getGroupName(rule.source)} ➜ ${rule.targets.map(t => getGroupName(t)).join(', ')}`;
 }
 
 function renderRules(rules) {
+    currentRules = rules;
+    renderHistoryRuleOptions();
+    renderBackfillRuleOptions();
     rulesList.innerHTML = '';
-    rules.forEach((rule, index) => {
-        const sourceName = getGroupName(rule.source);
-        // Supports multiple targets visually, though logic below might assume one for now
-        // The server stores targets as array
-        const targetsHtml = rule.targets.map(t => getGroupName(t)).join(', ');
+    rules.forEach(rule => {
+        const sourceName = escapeHtml(getGroupName(rule.source));
+        const targetsHtml = rule.targets.map(t => escapeHtml(getGroupName(t))).join(', ');
+        const enabled = rule.enabled !== false;
 
         const div = document.createElement('div');
-        div.className = 'rule-item';
+        div.className = `rule-item${enabled ? '' : ' rule-disabled'}`;
         div.innerHTML = `
             <div class="rule-info">
+                ${rule.name ? `<span class="rule-types">${escapeHtml(rule.name)}${enabled ? '' : ' (disabled)'}</span>` : enabled ? '' : '<span class="rule-types">(disabled)</span>'}
                 <strong>${sourceName}</strong> 
                 <span class="arrow">➜</span> 
                 <span>${targetsHtml}</span>
+                <span class="rule-types">${getTypeLabels(rule.types)}</span>
+                ${rule.filters ? `<span class="rule-types">Filters: ${escapeHtml(describeFilters(rule.filters))}</span>` : ''}
+                ${rule.caption ? `<span class="rule-types">Caption: ${describeCaption(rule.caption)}</span>` : ''}
+                ${rule.schedule ? `<span class="rule-types">Schedule: ${describeSchedule(rule.schedule)}</span>` : ''}
+                ${rule.media ? `<span class="rule-types">Media: ${describeMedia(rule.media)}</span>` : ''}
+                ${rule.maxHops ? `<span class="rule-types">Hop limit: ${rule.maxHops}</span>` : ''}
+                ${accounts.length > 1 ? `<span class="rule-types">Accounts: ${escapeHtml(getAccountName(rule.sourceAccount))} ➜ ${escapeHtml(getAccountName(rule.targetAccount))}</span>` : ''}
+                ${rule.dryRun ? '<span class="rule-types">Dry run (nothing is sent)</span>' : ''}
+                ${rule.moderated ? '<span class="rule-types">Moderated (needs approval)</span>' : ''}
+                ${(ruleProblems[rule.id] || []).map(problem => `<span class="rule-types rule-problem">⚠ ${escapeHtml(problem)}</span>`).join('')}
+                ${rule.syncEdits || rule.syncDeletes ? `<span class="rule-types">Syncs: ${[rule.syncEdits && 'edits', rule.syncDeletes && 'deletions'].filter(Boolean).join(', ')}</span>` : ''}
+            </div>
+            <div class="rule-actions admin-only">
+                <label class="rule-toggle"><input type="checkbox" ${enabled ? 'checked' : ''} onchange="toggleRule('${rule.id}', this.checked)"> On</label>
+                <button class="delete-btn retry-btn" onclick="editRule('${rule.id}')">Edit</button>
+                <button class="delete-btn retry-btn" onclick="backfillRule('${rule.id}')">Backfill</button>
+                <button class="delete-btn" onclick="deleteRule('${rule.id}')">Remove</button>
             </div>
-            <button class="delete-btn" onclick="deleteRule(${index})">Remove</button>
         `;
         rulesList.appendChild(div);
     });
 }
 
+renderTypeOptions();
+renderTestOptions();
+renderScheduleOptions();
+loadUser();
+
+function renderQueue(summary) {
+    queuePending.innerText = summary.pending;
+    queueFailed.innerText = summary.failed.length;
+
+    failedJobs.innerHTML = '';
+    summary.failed.forEach(job => {
+        const div = document.createElement('div');
+        div.className = 'rule-item';
+        div.innerHTML = `
+            <div class="rule-info">
+                <strong>${job.kind}</strong>
+                <span class="arrow">➜</span>
+                <span>${escapeHtml(getGroupName(job.targetId))}</span>
+                <span class="job-error">${job.attempts} attempt(s): ${escapeHtml(job.lastError || 'Unknown error')}</span>
+            </div>
+            <div class="rule-actions admin-only">
+                <button class="delete-btn retry-btn" onclick="retryJob('${job.id}')">Retry</button>
+                <button class="delete-btn" onclick="discardJob('${job.id}')">Discard</button>
+            </div>
+        `;
+        failedJobs.appendChild(div);
+    });
+}
+
+function renderScheduled(items) {
+    scheduledCount.innerText = items.length;
+    scheduledList.innerHTML = '';
+
+    // One line per digest batch, one per held message otherwise
+    const groups = [];
+    items.forEach(item => {
+        const existing = item.digestId && groups.find(g => g.digestId === item.digestId);
+        if (existing) {
+            existing.count++;
+        } else {
+            groups.push({ digestId: item.digestId, job: item.job, releaseAt: item.releaseAt, count: 1 });
+        }
+    });
+    groups.sort((a, b) => a.releaseAt - b.releaseAt);
+
+    groups.forEach(group => {
+        const div = document.createElement('div');
+        div.className = 'rule-item';
+        div.innerHTML = `
+            <div class="rule-info">
+                <strong>${group.digestId ? `Digest (${group.count})` : group.job.kind}</strong>
+                <span class="arrow">➜</span>
+                <span>${escapeHtml(getGroupName(group.job.targetId))}</span>
+                <span class="rule-types">From ${escapeHtml(getGroupName(group.job.sourceId))} · sends ${new Date(group.releaseAt).toLocaleString()}</span>
+            </div>
+        `;
+        scheduledList.appendChild(div);
+    });
+}
+
+const PREVIEW_KINDS = ['image', 'sticker', 'video'];
+const EDITABLE_KINDS = ['text', 'image', 'video', 'document'];
+
+function renderModeration(items) {
+    document.getElementById('moderation-count').innerText = items.length;
+    const list = document.getElementById('moderation-list');
+    // Keep captions someone is editing when another message comes in
+    const drafts = {};
+    list.querySelectorAll('.moderation-caption').forEach(box => { drafts[box.id] = box.value; });
+    list.innerHTML = '';
+    items.forEach(item => {
+        const rule = currentRules.find(r => r.id === item.rule);
+        const draft = drafts[`moderation-caption-${item.id}`];
+        const preview = !PREVIEW_KINDS.includes(item.kind) ? ''
+            : item.kind === 'video'
+                ? `<video class="moderation-preview" src="/api/moderation/${item.id}/preview" controls preload="metadata"></video>`
+                : `<img class="moderation-preview" src="/api/moderation/${item.id}/preview" alt="${item.kind}" loading="lazy">`;
+        const div = document.createElement('div');
+        div.className = 'rule-item';
+        div.innerHTML = `
+            <div class="rule-info">
+                <strong>${item.kind}</strong>
+                <span class="arrow">➜</span>
+                <span>${item.jobs.map(job => escapeHtml(getGroupName(job.targetId))).join(', ')}</span>
+                <span class="rule-types">From ${escapeHtml(item.senderName)} (+${item.sender}) in ${escapeHtml(getGroupName(item.sourceId))} · ${new Date(item.heldAt).toLocaleString()}</span>
+                <span class="rule-types">${escapeHtml(rule ? describeRule(rule) : item.rule)}</span>
+                ${preview}
+                ${EDITABLE_KINDS.includes(item.kind)
+                    ? `<textarea class="moderation-caption" id="moderation-caption-${item.id}" rows="2">${escapeHtml(draft !== undefined ? draft : item.caption)}</textarea>`
+                    : ''}
+            </div>
+            <div class="rule-actions admin-only">
+                <button class="delete-btn retry-btn" onclick="approveItem('${item.id}')">Approve</button>
+                <button class="delete-btn" onclick="rejectItem('${item.id}')">Reject</button>
+            </div>
+        `;
+        list.appendChild(div);
+    });
+    loadModerationDecisions();
+}
+
+async function loadModerationDecisions() {
+    try {
+        const res = await apiFetch('/api/moderation');
+        const data = await res.json();
+        document.getElementById('moderation-decisions').innerHTML = data.decisions.map(d => `
+            <div class="rule-item">
+                <div class="rule-info">
+                    <strong>${d.decision === 'approved' ? 'Approved ✅' : 'Rejected 🚫'}</strong>
+                    <span>${d.targets.map(id => escapeHtml(getGroupName(id))).join(', ')}</span>
+                    <span class="rule-types">by ${escapeHtml(d.by)} · ${new Date(d.at).toLocaleString()}${d.captionEdited ? ' · caption edited' : ''}</span>
+                </div>
+            </div>
+        `).join('') || '<p class="instruction">No decisions yet</p>';
+    } catch (e) {
+        console.error(e);
+    }
+}
+
+function renderBackfillRuleOptions() {
+    const select = document.getElementById('backfill-rule');
+    const selected = select.value;
+    select.innerHTML = currentRules.map(rule => `<option value="${rule.id}">${escapeHtml(describeRule(rule))}</option>`).join('');
+    if (currentRules.some(rule => rule.id === selected)) select.value = selected;
+    renderBackfillTargets();
+}
+
+// The picked rule's targets, all selected to start with
+function renderBackfillTargets() {
+    const rule = currentRules.find(r => r.id === document.getElementById('backfill-rule').value);
+    const select = document.getElementById('backfill-targets');
+    const selected = Array.from(select.selectedOptions).map(o => o.value);
+    const sameRule = select.dataset.rule === (rule ? rule.id : '');
+    select.dataset.rule = rule ? rule.id : '';
+    select.innerHTML = (rule ? rule.targets : []).map(id =>
+        `<option value="${escapeHtml(id)}" ${!sameRule || selected.includes(id) ? 'selected' : ''}>${escapeHtml(getGroupName(id))}</option>`
+    ).join('');
+}
+
+const BACKFILL_STATUS = {
+    fetching: 'Fetching messages...',
+    running: 'Running',
+    done: 'Done ✅',
+    cancelled: 'Cancelled',
+    failed: 'Failed'
+};
+
+function renderBackfills(backfills) {
+    const list = document.getElementById('backfills-list');
+    list.innerHTML = '';
+    backfills.slice().reverse().forEach(backfill => {
+        const rule = currentRules.find(r => r.id === backfill.rule);
+        const percent = backfill.total ? Math.round(backfill.done / backfill.total * 100) : 0;
+        const counts = backfill.status === 'fetching' ? '' : `${backfill.done} of ${backfill.total} sent` +
+            `${backfill.failed ? `, ${backfill.failed} failed` : ''} · ${backfill.found} found, ${backfill.skipped} not for this rule, ${backfill.alreadySent} already sent`;
+        const div = document.createElement('div');
+        div.className = 'rule-item';
+        div.innerHTML = `
+            <div class="rule-info">
+                <strong>${escapeHtml(rule ? describeRule(rule) : backfill.rule)}</strong>
+                <span class="rule-types">${BACKFILL_STATUS[backfill.status]}${backfill.error ? `: ${escapeHtml(backfill.error)}` : ''} · started ${new Date(backfill.startedAt).toLocaleString()}</span>
+                ${counts ? `<span class="rule-types">${counts}</span>` : ''}
+                ${backfill.status === 'running' ? `<div class="backfill-progress"><div style="width:${percent}%"></div></div>` : ''}
+            </div>
+            ${backfill.finishedAt ? '' : `<div class="rule-actions admin-only">
+                <button class="delete-btn" onclick="cancelBackfill('${backfill.id}')">Cancel</button>
+            </div>`}
+        `;
+        list.appendChild(div);
+    });
+}
+
+function renderWebhooks(data) {
+    const eventOptions = document.getElementById('webhook-events');
+    if (!eventOptions.children.length) {
+        eventOptions.innerHTML = ['*'].concat(data.events).map(event =>
+            `<label><input type="checkbox" value="${event}"> ${event === '*' ? 'All events' : event}</label>`
+        ).join('');
+    }
+
+    const list = document.getElementById('webhooks-list');
+    list.innerHTML = '';
+    data.webhooks.forEach(hook => {
+        const div = document.createElement('div');
+        div.className = `rule-item${hook.enabled ? '' : ' rule-disabled'}`;
+        div.innerHTML = `
+            <div class="rule-info">
+                <strong>${escapeHtml(hook.url)}</strong>
+                <span class="rule-types">${hook.events.join(', ')}${hook.hasSecret ? ' · signed' : ' · no secret'}</span>
+            </div>
+            <div class="rule-actions">
+                <label class="rule-toggle"><input type="checkbox" ${hook.enabled ? 'checked' : ''} onchange="toggleWebhook('${hook.id}', this.checked)"> On</label>
+                <button class="delete-btn retry-btn" onclick="testWebhook('${hook.id}')">Test</button>
+                <button class="delete-btn" onclick="deleteWebhook('${hook.id}')">Remove</button>
+            </div>
+        `;
+        list.appendChild(div);
+    });
+}
+
+function renderHistoryRuleOptions() {
+    const select = document.getElementById('history-rule');
+    const selected = select.value;
+    select.innerHTML = '<option value="">All rules</option>' + currentRules.map(rule =>
+        `<option value="${rule.id}">${escapeHtml(describeRule(rule))}</option>`
+    ).join('');
+    select.value = selected;
+}
+
+function getHistoryQuery() {
+    const params = new URLSearchParams();
+    const status = document.getElementById('history-status').value;
+    const rule = document.getElementById('history-rule').value;
+    const group = document.getElementById('history-group').value;
+    const from = document.getElementById('history-from').value;
+    const to = document.getElementById('history-to').value;
+
+    if (status) params.set('status', status);
+    if (rule) params.set('rule', rule);
+    if (group) params.set('group', group);
+    // Date inputs are local days, cover the whole day
+    if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+    return params;
+}
+
+function renderHistory(data) {
+    historyBody.innerHTML = '';
+    if (data.records.length === 0) {
+        historyBody.innerHTML = '<tr><td colspan="6">No deliveries found</td></tr>';
+    }
+    data.records.forEach(r => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td>${new Date(r.finishedAt).toLocaleString()}</td>
+            <td>${r.type}${r.size ? ` (${(r.size / 1024 / 1024).toFixed(2)} MB)` : ''}</td>
+            <td>${escapeHtml(getGroupName(r.sourceId))}</td>
+            <td>${escapeHtml(getGroupName(r.targetId))}</td>
+            <td>${r.path || '-'}</td>
+            <td class="status-${r.status}" title="${escapeHtml(r.error || '')}">${r.status}${r.error ? ' ⓘ' : ''}</td>
+        `;
+        historyBody.appendChild(tr);
+    });
+
+    const pages = Math.max(Math.ceil(data.total / data.limit), 1);
+    historyPageLabel.innerText = `Page ${data.page} of ${pages} (${data.total} records)`;
+    document.getElementById('history-prev-btn').disabled = data.page <= 1;
+    document.getElementById('history-next-btn').disabled = data.page >= pages;
+}
+
 // API Interactions
 async function reloadConfig() {
     try {
-        const res = await fetch('/api/config');
+        const res = await apiFetch('/api/config');
         const data = await res.json();
         renderRules(data.rules || []);
     } catch (e) {
@@ -113,68 +914,538 @@ async function reloadConfig() {
     }
 }
 
-document.getElementById('add-rule-btn').addEventListener('click', async () => {
+// Server validation errors come with a list of what's wrong
+function showError(data) {
+    alert(data.details ? `${data.error}\n\n${data.details.join('\n')}` : data.error);
+}
+
+// The rule as currently filled in
+function getFormRule() {
+    const existing = editingRuleId && currentRules.find(r => r.id === editingRuleId);
+    return {
+        name: document.getElementById('rule-name').value.trim() || undefined,
+        enabled: existing ? existing.enabled : true,
+        source: sourceSelect.value,
+        targets: getSelectedTargets(),
+        sourceAccount: sourceAccountSelect.value || DEFAULT_ACCOUNT,
+        targetAccount: targetAccountSelect.value || DEFAULT_ACCOUNT,
+        types: getSelectedTypes(),
+        filters: getFilters(),
+        caption: getCaptionOptions(),
+        maxHops: parseInt(document.getElementById('max-hops').value) || undefined,
+        syncEdits: document.getElementById('sync-edits').checked,
+        syncDeletes: document.getElementById('sync-deletes').checked,
+        media: getMediaOptions(),
+        schedule: getSchedule(),
+        dryRun: document.getElementById('rule-dry-run').checked,
+        moderated: document.getElementById('rule-moderated').checked
+    };
+}
+
+addRuleBtn.addEventListener('click', async () => {
     const source = sourceSelect.value;
-    const target = targetSelect.value;
+    const targets = getSelectedTargets();
+    const types = getSelectedTypes();
 
-    if (!source || !target) {
-        alert("Please select both a source and a target group.");
+    if (!source || targets.length === 0) {
+        alert("Please select a source and at least one target.");
         return;
     }
 
-    if (source === target) {
+    if (targets.includes(source) && sourceAccountSelect.value === targetAccountSelect.value) {
         alert("Source and Target cannot be the same.");
         return;
     }
 
-    const newRule = {
-        source: source,
-        targets: [target] // currently UI only allows one at a time, but struct supports list
-    };
+    if (types.length === 0) {
+        alert("Select at least one message type to forward.");
+        return;
+    }
+
+    const newRule = getFormRule();
 
     try {
-        const res = await fetch('/api/config/rules', {
-            method: 'POST',
+        const res = await apiFetch(editingRuleId ? `/api/config/rules/${editingRuleId}` : '/api/config/rules', {
+            method: editingRuleId ? 'PUT' : 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(newRule)
         });
         const data = await res.json();
         if (data.success) {
             renderRules(data.config.rules);
-            addLog(`Rule added: ${getGroupName(source)} -> ${getGroupName(target)}`);
+            addLog(`Rule ${editingRuleId ? 'updated' : 'added'}: ${describeRule(data.rule)}`);
+            if (data.warnings.length > 0) alert(`Saved, but this rule won't work as it is:\n\n${data.warnings.join('\n')}`);
+            stopEditing();
+        } else if (data.error) {
+            showError(data);
+        }
+    } catch (e) {
+        console.error(e);
+    }
+});
+
+cancelEditBtn.addEventListener('click', stopEditing);
+
+document.getElementById('export-config-btn').addEventListener('click', () => {
+    window.location.href = '/api/config/export';
+});
+
+const importFile = document.getElementById('import-config-file');
+document.getElementById('import-config-btn').addEventListener('click', () => importFile.click());
+importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (!file) return;
+
+    const mode = document.getElementById('import-mode').value;
+    if (mode === 'replace' && !confirm('Replace all current rules with the imported ones?')) return;
+
+    try {
+        const res = await apiFetch(`/api/config/import?mode=${mode}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: await file.text()
+        });
+        const data = await res.json();
+        if (data.success) {
+            stopEditing();
+            renderRules(data.config.rules);
+            addLog(`Imported ${file.name}`);
+        } else {
+            showError(data);
+        }
+    } catch (e) {
+        console.error(e);
+        alert(`Could not import ${file.name}`);
+    }
+});
+
+let currentWebhooks = [];
+
+async function loadWebhooks() {
+    try {
+        const res = await apiFetch('/api/webhooks');
+        const data = await res.json();
+        currentWebhooks = data.webhooks;
+        renderWebhooks(data);
+    } catch (e) {
+        console.error(e);
+    }
+}
+
+document.getElementById('add-webhook-btn').addEventListener('click', async () => {
+    const events = Array.from(document.querySelectorAll('#webhook-events input:checked')).map(cb => cb.value);
+    try {
+        const res = await apiFetch('/api/webhooks', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                url: document.getElementById('webhook-url').value.trim(),
+                secret: document.getElementById('webhook-secret').value || undefined,
+                events: events.includes('*') ? ['*'] : events
+            })
+        });
+        const data = await res.json();
+        if (data.success) {
+            setValue('webhook-url', '');
+            setValue('webhook-secret', '');
+            loadWebhooks();
+        } else {
+            showError(data);
         }
     } catch (e) {
         console.error(e);
     }
 });
 
+window.toggleWebhook = async (id, enabled) => {
+    const hook = currentWebhooks.find(h => h.id === id);
+    if (!hook) return;
+    try {
+        const res = await apiFetch(`/api/webhooks/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ url: hook.url, events: hook.events, enabled })
+        });
+        const data = await res.json();
+        if (data.error) showError(data);
+        loadWebhooks();
+    } catch (e) {
+        console.error(e);
+    }
+};
+
+window.testWebhook = async (id) => {
+    try {
+        const res = await apiFetch(`/api/webhooks/${id}/test`, { method: 'POST' });
+        const data = await res.json();
+        alert(data.success ? 'Test event delivered.' : data.error);
+    } catch (e) {
+        console.error(e);
+    }
+};
+
+window.deleteWebhook = async (id) => {
+    if (!confirm('Delete this webhook?')) return;
+    try {
+        await apiFetch(`/api/webhooks/${id}`, { method: 'DELETE' });
+        loadWebhooks();
+    } catch (e) {
+        console.error(e);
+    }
+};
+
+async function loadHistory(page) {
+    historyPage = page || 1;
+    const params = getHistoryQuery();
+    params.set('page', historyPage);
+    params.set('limit', HISTORY_PAGE_SIZE);
+    try {
+        const res = await apiFetch(`/api/history?${params}`);
+        renderHistory(await res.json());
+    } catch (e) {
+        console.error(e);
+    }
+}
+
+document.getElementById('history-search-btn').addEventListener('click', () => loadHistory(1));
+document.getElementById('history-prev-btn').addEventListener('click', () => loadHistory(historyPage - 1));
+document.getElementById('history-next-btn').addEventListener('click', () => loadHistory(historyPage + 1));
+document.getElementById('history-export-btn').addEventListener('click', () => {
+    const params = getHistoryQuery();
+    params.set('format', 'csv');
+    window.location.href = `/api/history?${params}`;
+});
+
+logLevelSelect.addEventListener('change', renderLogs);
+logGroupSelect.addEventListener('change', renderLogs);
+logSearchInput.addEventListener('input', renderLogs);
+logPauseBtn.addEventListener('click', () => {
+    logsPaused = !logsPaused;
+    logPauseBtn.innerText = logsPaused ? 'Resume' : 'Pause';
+    if (!logsPaused) renderLogs();
+});
+
+dryRunToggle.addEventListener('change', async () => {
+    const dryRun = dryRunToggle.checked;
+    if (!dryRun && !confirm('Turn dry run off? Rules will send to real chats again.')) {
+        dryRunToggle.checked = true;
+        return;
+    }
+    try {
+        const res = await apiFetch('/api/settings', {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ dryRun })
+        });
+        const data = await res.json();
+        if (!data.success) showError(data);
+    } catch (e) {
+        console.error(e);
+    }
+    dryRunToggle.checked = Boolean(currentSettings.dryRun);
+});
+
+function renderTestResults(data) {
+    testResults.innerHTML = '';
+    if (data.rules.length === 0) {
+        testResults.innerHTML = `<div class="rule-item"><div class="rule-info"><span>No rule reads from ${escapeHtml(data.source.name)}</span></div></div>`;
+        return;
+    }
+    data.rules.forEach(result => {
+        const notes = [!result.enabled && 'rule is disabled', result.dryRun && 'dry run', result.moderated && 'needs approval'].filter(Boolean).join(', ');
+        const div = document.createElement('div');
+        div.className = `rule-item${result.matched ? '' : ' rule-disabled'}`;
+        div.innerHTML = `
+            <div class="rule-info">
+                <strong>${result.matched ? '✅' : '🚫'} ${escapeHtml(result.name)}</strong>
+                ${notes ? `<span class="rule-types">(${notes})</span>` : ''}
+                ${result.reason ? `<span class="rule-types">${escapeHtml(result.reason)}</span>` : ''}
+            </div>
+        `;
+        const info = div.querySelector('.rule-info');
+        result.targets.forEach(target => {
+            const parts = [`➜ ${target.name}`];
+            if (accounts.length > 1) parts.push(`from ${getAccountName(target.account)}`);
+            if (target.skipped) parts.push(`skipped: ${target.skipped}`);
+            if (target.releaseAt) parts.push(`${target.digest ? 'in a digest' : 'held'} until ${new Date(target.releaseAt).toLocaleString()}`);
+            if (target.media) parts.push(`media: ${describeMedia(target.media)}`);
+            if (target.caption !== null) parts.push(target.caption ? `caption:\n${target.caption}` : 'no caption');
+            const span = document.createElement('span');
+            span.className = 'rule-types test-target';
+            span.innerText = parts.join(' · ');
+            info.appendChild(span);
+        });
+        testResults.appendChild(div);
+    });
+}
+
+document.getElementById('test-rule-btn').addEventListener('click', async () => {
+    const value = (id) => document.getElementById(id).value;
+    const sizeMb = parseFloat(value('test-size'));
+    const body = {
+        type: value('test-type'),
+        source: value('test-source') || undefined,
+        mime: value('test-mime').trim() || undefined,
+        size: sizeMb > 0 ? Math.round(sizeMb * 1024 * 1024) : undefined,
+        sender: value('test-sender').trim() || undefined,
+        caption: value('test-caption')
+    };
+    if (document.getElementById('test-use-form').checked) {
+        body.rule = getFormRule();
+        body.source = body.rule.source || undefined;
+    }
+
+    try {
+        const res = await apiFetch('/api/rules/test', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        if (data.error) return showError(data);
+        renderTestResults(data);
+    } catch (e) {
+        console.error(e);
+    }
+});
+
+document.querySelectorAll('.select-search').forEach(input => {
+    input.addEventListener('input', () => applySelectSearch(input));
+});
+
+document.querySelectorAll('.select-type').forEach(select => {
+    const input = document.querySelector(`.select-search[data-select="${select.dataset.select}"]`);
+    select.addEventListener('change', () => applySelectSearch(input));
+});
+
+document.getElementById('logout-btn').addEventListener('click', async () => {
+    try {
+        await apiFetch('/api/logout', { method: 'POST' });
+    } catch (e) {
+        console.error(e);
+    }
+    window.location.href = '/login.html';
+});
+
+sourceAccountSelect.addEventListener('change', renderGroupOptions);
+targetAccountSelect.addEventListener('change', renderGroupOptions);
+
+document.getElementById('add-account-btn').addEventListener('click', async () => {
+    const id = document.getElementById('account-id').value.trim();
+    const name = document.getElementById('account-name').value.trim();
+    if (!id) {
+        alert('Enter an ID for the account (letters, numbers, _ and -).');
+        return;
+    }
+    try {
+        const res = await apiFetch('/api/accounts', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id, name: name || undefined })
+        });
+        const data = await res.json();
+        if (data.success) {
+            setValue('account-id', '');
+            setValue('account-name', '');
+        } else {
+            showError(data);
+        }
+    } catch (e) {
+        console.error(e);
+    }
+});
+
+window.relinkAccount = async (id) => {
+    if (!confirm(`Log ${getAccountName(id)} out and show a new QR code?`)) return;
+    try {
+        const res = await apiFetch(`/api/accounts/${id}/relink`, { method: 'POST' });
+        const data = await res.json();
+        if (data.error) alert(data.error);
+    } catch (e) {
+        console.error(e);
+    }
+};
+
+// Sessions are backed up before they get reset, pick one to go back to
+window.restoreSessionBackup = async (id) => {
+    try {
+        const res = await apiFetch(`/api/accounts/${id}/session-backups`);
+        const data = await res.json();
+        if (data.error) return alert(data.error);
+        if (data.backups.length === 0) return alert(`${getAccountName(id)} has no session backups.`);
+
+        const choices = data.backups.map((b, i) => `${i + 1}. ${b.createdAt ? new Date(b.createdAt).toLocaleString() : b.id}${b.reason ? ` (${b.reason})` : ''}`);
+        const answer = prompt(`Restore a session backup of ${getAccountName(id)}? The current session is backed up first.\n\n${choices.join('\n')}\n\nNumber to restore:`, '1');
+        if (answer === null) return;
+        const backup = data.backups[parseInt(answer) - 1];
+        if (!backup) return alert('No backup with that number.');
+
+        const restoreRes = await apiFetch(`/api/accounts/${id}/session-backups/${backup.id}/restore`, { method: 'POST' });
+        const restoreData = await restoreRes.json();
+        if (restoreData.error) alert(restoreData.error);
+    } catch (e) {
+        console.error(e);
+    }
+};
+
+window.removeAccount = async (id) => {
+    if (!confirm(`Remove ${getAccountName(id)}? Its WhatsApp login is kept, adding the same ID again reconnects it.`)) return;
+    try {
+        const res = await apiFetch(`/api/accounts/${id}`, { method: 'DELETE' });
+        const data = await res.json();
+        if (data.error) alert(data.error);
+    } catch (e) {
+        console.error(e);
+    }
+};
+
 document.getElementById('refresh-groups-btn').addEventListener('click', async () => {
-    addLog('Refreshing groups...');
+    addLog('Refreshing chats...');
     try {
-        const res = await fetch('/api/groups/refresh', { method: 'POST' });
+        const res = await apiFetch('/api/groups/refresh', { method: 'POST' });
         const data = await res.json();
         if (data.count) {
-            addLog(`Found ${data.count} groups`);
+            addLog(`Found ${data.count} chats`);
         } else {
             addLog('Refresh request sent...');
         }
     } catch (e) {
         console.error(e);
-        addLog('Error refreshing groups');
+        addLog('Error refreshing chats');
     }
 });
 
-window.deleteRule = async (index) => {
+window.editRule = (id) => {
+    const rule = currentRules.find(r => r.id === id);
+    if (!rule) return;
+    editingRuleId = id;
+    fillForm(rule);
+    addRuleBtn.innerText = 'Save Rule';
+    cancelEditBtn.style.display = 'block';
+    addRuleBtn.scrollIntoView({ behavior: 'smooth', block: 'center' });
+};
+
+window.toggleRule = async (id, enabled) => {
+    try {
+        const res = await apiFetch(`/api/config/rules/${id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled })
+        });
+        const data = await res.json();
+        if (data.success) {
+            renderRules(data.config.rules);
+            addLog(`Rule ${enabled ? 'enabled' : 'disabled'}: ${describeRule(data.rule)}`);
+        } else {
+            showError(data);
+            reloadConfig();
+        }
+    } catch (e) {
+        console.error(e);
+    }
+};
+
+window.deleteRule = async (id) => {
     if (!confirm('Delete this rule?')) return;
     try {
-        const res = await fetch(`/api/config/rules/${index}`, {
+        const res = await apiFetch(`/api/config/rules/${id}`, {
             method: 'DELETE'
         });
         const data = await res.json();
         if (data.success) {
+            if (editingRuleId === id) stopEditing();
             renderRules(data.config.rules);
         }
     } catch (e) {
         console.error(e);
     }
 };
+
+window.retryJob = async (id) => {
+    try {
+        await apiFetch(`/api/queue/${id}/retry`, { method: 'POST' });
+    } catch (e) {
+        console.error(e);
+    }
+};
+
+window.approveItem = async (id) => {
+    const captionBox = document.getElementById(`moderation-caption-${id}`);
+    try {
+        const res = await apiFetch(`/api/moderation/${id}/approve`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ caption: captionBox ? captionBox.value : undefined })
+        });
+        const data = await res.json();
+        if (!res.ok) alert(data.error);
+    } catch (e) {
+        console.error(e);
+    }
+};
+
+window.rejectItem = async (id) => {
+    if (!confirm('Reject this message? It will not be sent.')) return;
+    try {
+        const res = await apiFetch(`/api/moderation/${id}/reject`, { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) alert(data.error);
+    } catch (e) {
+        console.error(e);
+    }
+};
+
+window.backfillRule = (id) => {
+    document.getElementById('backfill-rule').value = id;
+    renderBackfillTargets();
+    document.getElementById('backfill-card').scrollIntoView({ behavior: 'smooth' });
+};
+
+window.cancelBackfill = async (id) => {
+    if (!confirm('Cancel this backfill? Messages already sent stay.')) return;
+    try {
+        await apiFetch(`/api/backfills/${id}`, { method: 'DELETE' });
+    } catch (e) {
+        console.error(e);
+    }
+};
+
+document.getElementById('backfill-rule').addEventListener('change', renderBackfillTargets);
+
+document.getElementById('backfill-start-btn').addEventListener('click', async () => {
+    const rule = document.getElementById('backfill-rule').value;
+    if (!rule) return alert('Add a rule first.');
+    const since = document.getElementById('backfill-since').value;
+    const until = document.getElementById('backfill-until').value;
+    const limit = document.getElementById('backfill-limit').value;
+    const body = {
+        targets: Array.from(document.getElementById('backfill-targets').selectedOptions).map(o => o.value),
+        // Date inputs are local days, cover the whole day
+        since: since ? new Date(`${since}T00:00:00`).toISOString() : undefined,
+        until: until ? new Date(`${until}T23:59:59.999`).toISOString() : undefined,
+        limit: limit ? parseInt(limit, 10) : undefined
+    };
+
+    try {
+        const res = await apiFetch(`/api/config/rules/${rule}/backfill`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        if (!res.ok) return alert(data.error);
+        addLog(`Backfill started: ${describeRule(currentRules.find(r => r.id === rule))}`);
+    } catch (e) {
+        console.error(e);
+    }
+});
+
+window.discardJob = async (id) => {
+    if (!confirm('Discard this delivery?')) return;
+    try {
+        await apiFetch(`/api/queue/${id}`, { method: 'DELETE' });
+    } catch (e) {
+        console.error(e);
+    }
+};
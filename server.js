@@ -1,39 +1,226 @@
 const express = require('express');
+const multer = require('multer');
 const http = require('http');
 const { Server } = require('socket.io');
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia, Location, Poll } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
 const fs = require('fs');
+const fsp = require('fs/promises');
 const path = require('path');
+const { MESSAGE_TYPES, getMessageKind, getRuleTypes } = require('./lib/message_types');
+const { checkFilters } = require('./lib/filters');
+const { buildCaption } = require('./lib/captions');
+const loopGuard = require('./lib/loop_guard');
+const { createDeliveryQueue } = require('./lib/delivery_queue');
+const { createHistory, toCsv } = require('./lib/history');
+const { createMessageMap } = require('./lib/message_map');
+const { createMediaCache } = require('./lib/media_cache');
+const { createBackfills } = require('./lib/backfill');
+const { createModeration } = require('./lib/moderation');
+const { createSessionBackups } = require('./lib/session_backups');
+const { processMedia } = require('./lib/media_processor');
+const { createScheduler, getReleaseTime } = require('./lib/scheduler');
+const { validateRule, migrateRules, DEFAULT_ACCOUNT } = require('./lib/rules');
+const { createAuth } = require('./lib/auth');
+const { createWebhooks, validateWebhook, WEBHOOK_EVENTS } = require('./lib/webhooks');
+const { createMetrics } = require('./lib/metrics');
+const { createLogger } = require('./lib/logger');
+const { writeJsonAtomic } = require('./lib/atomic_file');
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server);
 
 const CONFIG_FILE = path.join(__dirname, 'config.json');
+const DATA_DIR = path.join(__dirname, 'data');
+const AUTH_FILE = process.env.AUTH_FILE || path.join(__dirname, 'auth.json');
+
+// Every event goes to data/logs and to the dashboards (see lib/logger.js)
+const logger = createLogger({
+    dir: path.join(DATA_DIR, 'logs'),
+    level: process.env.LOG_LEVEL,
+    onEntry: (entry) => io.emit('log', entry)
+});
+
+const auth = createAuth({
+    file: AUTH_FILE,
+    log: (message) => console.log(message)
+});
 
 // Middleware
+// The dashboard needs a login, the login page and static assets don't
+app.use((req, res, next) => {
+    if ((req.path === '/' || req.path === '/index.html') && !auth.fromRequest(req)) {
+        return res.redirect('/login.html');
+    }
+    next();
+});
 app.use(express.static('public'));
 app.use(express.json());
 
+app.post('/api/login', (req, res) => {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    let session;
+    try {
+        session = auth.login(username, password, req.ip);
+    } catch (e) {
+        return res.status(e.status || 500).json({ error: e.message });
+    }
+    if (!session) {
+        logger.warn('auth', `Failed login for "${username}" from ${req.ip}`);
+        return res.status(401).json({ error: 'Wrong username or password' });
+    }
+
+    res.setHeader('Set-Cookie', auth.sessionCookie(session.token, req.secure));
+    res.json({ success: true, token: session.token, username: session.username, role: session.role, expiresAt: session.expiresAt });
+});
+
+app.post('/api/logout', (req, res) => {
+    const token = auth.getToken(req.headers);
+    if (token) {
+        auth.logout(token);
+        // Live streams opened with this session end with it
+        for (const socket of io.sockets.sockets.values()) {
+            if (socket.data.user.session === token) socket.disconnect(true);
+        }
+    }
+    res.setHeader('Set-Cookie', auth.sessionCookie('', req.secure));
+    res.json({ success: true });
+});
+
+// Everything else under /api needs a login; viewers can read, changes need an admin
+app.use('/api', auth.requireRole('viewer'));
+app.use('/api', (req, res, next) => req.method === 'GET' ? next() : auth.requireRole('admin')(req, res, next));
+
+app.get('/api/me', (req, res) => {
+    res.json({ name: req.user.name, role: req.user.role });
+});
+
 // Load or create config
 let config = {
-    rules: [] // { source: 'groupId', targets: ['groupId1', 'groupId2'], types: ['image', 'audio', 'document', 'text'] }
+    rules: [] // see lib/rules.js for the rule schema
 };
 
+// Write to a temp file and rename, so a crash mid-write can't leave a truncated config
+const saveConfig = () => writeJsonAtomic(CONFIG_FILE, config);
+
 if (fs.existsSync(CONFIG_FILE)) {
     try {
         config = JSON.parse(fs.readFileSync(CONFIG_FILE));
+        const migrated = migrateRules(config.rules);
+        config.rules = migrated.rules;
+        if (migrated.changed) saveConfig();
     } catch (e) {
-        console.error("Error reading config", e);
+        logger.error('config', 'Error reading config', { error: e });
     }
 } else {
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+    saveConfig();
 }
 
-// WhatsApp Client
-const client = new Client({
-    authStrategy: new LocalAuth(),
+const findRule = (id) => config.rules.find(r => r.id === id);
+
+// Global settings (config.settings overrides these)
+const DEFAULT_SETTINGS = {
+    dedupeWindowMinutes: 60, // never send the same content to the same target twice within this window
+    // Delivery queue
+    maxAttempts: 5,
+    retryBaseSeconds: 15, // doubles after every failed attempt...
+    retryMaxSeconds: 900, // ...up to this
+    targetIntervalSeconds: 3, // min gap between sends to the same target
+    globalIntervalSeconds: 1, // min gap between any two sends from the same account
+    sendJitterSeconds: 2, // random extra delay so sends don't look scripted
+    mediaCacheMB: 2048, // disk space for media waiting to be sent (0 = no limit)
+    backfillIntervalSeconds: 20, // min gap between two messages of one backfill
+    dryRun: false // log "would send" instead of sending, for every rule (rules can also set dryRun)
+};
+
+const getSettings = () => ({ ...DEFAULT_SETTINGS, ...(config.settings || {}) });
+
+// Only known settings, with the same type as their default. Problems go into `details`.
+const validateSettings = (input, details) => {
+    const settings = {};
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        details.push('settings must be an object');
+        return settings;
+    }
+    for (const [key, value] of Object.entries(input)) {
+        if (!(key in DEFAULT_SETTINGS)) {
+            details.push(`unknown setting ${key}`);
+        } else if (typeof value !== typeof DEFAULT_SETTINGS[key] || (typeof value === 'number' && !(value >= 0))) {
+            details.push(`setting ${key} must be a ${typeof DEFAULT_SETTINGS[key]}`);
+        } else {
+            settings[key] = value;
+        }
+    }
+    return settings;
+};
+
+const isDryRun = (rule) => getSettings().dryRun || Boolean(rule && rule.dryRun);
+
+const webhooks = createWebhooks({
+    getHooks: () => config.webhooks,
+    log: (message) => logger.warn('webhook', message)
+});
+
+// Prometheus metrics (served on /metrics)
+const metrics = createMetrics();
+let lastSuccessfulSend = null;
+const markSent = () => { lastSuccessfulSend = Date.now(); };
+
+const messagesSeen = metrics.counter('autoforwarder_messages_seen_total', 'Messages seen in groups that are the source of a rule');
+const forwards = metrics.counter('autoforwarder_forwards_total', 'Delivery attempts by rule, target and outcome (native, fallback, error)');
+const downloadSeconds = metrics.histogram('autoforwarder_media_download_seconds', 'Time to download media from WhatsApp');
+const sendSeconds = metrics.histogram('autoforwarder_send_seconds', 'Time to deliver one copy, including download and processing');
+const mediaBytes = metrics.counter('autoforwarder_media_bytes_total', 'Media bytes downloaded and sent');
+const reconnects = metrics.counter('autoforwarder_reconnects_total', 'Reconnects after a WhatsApp account disconnected');
+const sessionResets = metrics.counter('autoforwarder_session_resets_total', 'Sessions reset (after a backup) because they kept failing to start');
+metrics.gauge('autoforwarder_seconds_since_last_send', 'Seconds since the last successful send, -1 if nothing was sent since start', () => [
+    { value: lastSuccessfulSend ? (Date.now() - lastSuccessfulSend) / 1000 : -1 }
+]);
+metrics.gauge('autoforwarder_account_connected', 'Whether each WhatsApp account is connected', () =>
+    [...accounts.values()].map(a => ({ labels: { account: a.id }, value: isAccountReady(a) ? 1 : 0 })));
+metrics.gauge('autoforwarder_queue_jobs', 'Delivery queue jobs by status', () => {
+    const summary = queue.summary();
+    return [
+        { labels: { status: 'pending' }, value: summary.pending },
+        { labels: { status: 'failed' }, value: summary.failed.length }
+    ];
+});
+metrics.gauge('autoforwarder_media_cache_bytes', 'Disk space used by downloaded media waiting to be sent', () => [{ value: mediaCache.usage().bytes }]);
+metrics.gauge('autoforwarder_scheduled_items', 'Deliveries held back by rule schedules', () => [{ value: scheduler.items().length }]);
+
+// WhatsApp Accounts
+// config.accounts = [{ id: 'default', name: 'Main number' }, { id: 'shop2', name: 'Second shop' }]
+// Every account is its own Client with its own LocalAuth session, status, QR code and group list.
+// Rules pick accounts with sourceAccount / targetAccount, rules without them use the default account.
+const ACCOUNT_ID_PATTERN = /^[A-Za-z0-9_-]+$/; // what LocalAuth accepts as a clientId
+
+if (!Array.isArray(config.accounts) || !config.accounts.some(a => a.id === DEFAULT_ACCOUNT)) {
+    config.accounts = [{ id: DEFAULT_ACCOUNT, name: 'Default' }].concat(Array.isArray(config.accounts) ? config.accounts : []);
+    saveConfig();
+}
+
+// id -> { id, name, client, status, groups, lastQr, isReconnecting, removed, initFailures, sessionErrors }
+// `groups` holds every chat rules can use (see describeChat), not just groups
+const accounts = new Map();
+
+const getAccount = (id) => accounts.get(id || DEFAULT_ACCOUNT);
+
+// The default account keeps the session folder it had before there were several accounts
+const getSessionDir = (id) => path.join(__dirname, '.wwebjs_auth', id === DEFAULT_ACCOUNT ? 'session' : `session-${id}`);
+
+// Taken before a session is reset, restore one from the account's "Backups" button
+const sessionBackups = createSessionBackups({
+    dir: path.join(DATA_DIR, 'session_backups'),
+    getSessionDir: getSessionDir
+});
+
+const createClient = (id) => new Client({
+    authStrategy: new LocalAuth(id === DEFAULT_ACCOUNT ? {} : { clientId: id }),
     puppeteer: {
         headless: true,
         executablePath: fs.existsSync('/usr/bin/google-chrome-stable') ? '/usr/bin/google-chrome-stable' : (fs.existsSync('/usr/bin/google-chrome') ? '/usr/bin/google-chrome' : undefined),
@@ -47,358 +234,2024 @@ const client = new Client({
     }
 });
 
-// State tracking
-let currentStatus = 'Initializing...';
-let availableGroups = [];
+const isAccountReady = (account) => Boolean(account && account.client.info) && account.status === 'Connected';
+
+const getAllGroups = () => [...accounts.values()].flatMap(a => a.groups);
+
+const describeAccount = (account) => ({
+    id: account.id,
+    name: account.name,
+    status: account.status,
+    number: account.client.info ? account.client.info.wid.user : null,
+    groups: account.groups.filter(g => g.type === 'group').length,
+    chats: account.groups.length
+});
+
+const emitAccounts = () => io.emit('accounts', [...accounts.values()].map(describeAccount));
+
+// Same credentials as the REST API: session cookie, Bearer header or { auth: { token } }
+io.use((socket, next) => {
+    const user = auth.authenticate(auth.getToken(socket.handshake.headers, socket.handshake.auth && socket.handshake.auth.token));
+    if (!user) return next(new Error('unauthorized'));
+    socket.data.user = user;
+    next();
+});
 
 io.on('connection', (socket) => {
-    socket.emit('status', currentStatus);
-    socket.emit('groups', availableGroups);
-    if (availableGroups.length > 0) {
-        socket.emit('log', `Syncing ${availableGroups.length} groups...`);
+    socket.emit('accounts', [...accounts.values()].map(describeAccount));
+
+    // The QR code links the account, only admins get it
+    if (socket.data.user.role === 'admin') {
+        socket.join('admins');
+        for (const account of accounts.values()) {
+            if (account.status === 'Scan QR Code' && account.lastQr) socket.emit('qr', { account: account.id, url: account.lastQr });
+        }
     }
+
+    const groups = getAllGroups();
+    socket.emit('groups', groups);
+    socket.emit('queue', queue.summary());
+    socket.emit('scheduled', scheduler.items());
+    socket.emit('settings', getSettings());
+    socket.emit('ruleProblems', ruleProblems);
+    socket.emit('backfills', backfills.list());
+    socket.emit('moderation', moderation.items());
+    // Catch up on what happened before this dashboard was opened
+    socket.emit('logs', logger.recent());
 });
 
+const getGroupName = (id) => {
+    const group = getAllGroups().find(g => g.id === id);
+    return group ? group.name : id;
+};
+
+const describeRule = (rule) => rule.name || `${getGroupName(rule.source)} → ${rule.targets.map(getGroupName).join(', ')}`;
+
+// For the filter and caption code: rules saved before their regexes were checked can hold broken ones
+const ruleLog = (rule) => (message) => logger.warn('rules', message, { rule: rule.id });
+
+const updateStatus = (account, status) => {
+    account.status = status;
+    emitAccounts();
+};
+
+// group, contact (direct chat), channel (newsletter) or broadcast (broadcast list)
+const CHAT_TYPES = ['group', 'contact', 'channel', 'broadcast'];
+
+const getChatType = (chat) => {
+    if (chat.isGroup) return 'group';
+    if (chat.isChannel) return 'channel';
+    if (chat.id.server === 'broadcast') return 'broadcast';
+    return 'contact';
+};
+
+// Same as getChatType, from the ID alone (for jobs, whose chat may not be loaded)
+const getChatTypeById = (id) => {
+    if (id.endsWith('@g.us')) return 'group';
+    if (id.endsWith('@newsletter')) return 'channel';
+    if (id.endsWith('@broadcast')) return 'broadcast';
+    return 'contact';
+};
+
+// whatsapp-web.js doesn't send these to a channel, it returns null instead
+const CHANNEL_UNSUPPORTED_KINDS = ['location', 'contact', 'document'];
+
+// Chats where a copy can quote the copy it replies to
+const REPLY_CHAT_TYPES = ['group', 'contact'];
+
+// What the dashboard and rule checks need to know about a chat, as seen by `account`
+// { id, name, type, account, participants, isAdmin, isMember, canPost, description }
+const describeChat = (chat, account) => {
+    const type = getChatType(chat);
+    const base = { id: chat.id._serialized, name: chat.name, type: type, account: account.id };
+    if (type === 'channel') {
+        // Followers only read a channel, its owner and admins post
+        const role = chat.channelMetadata ? chat.channelMetadata.membershipType : null;
+        const isAdmin = role === 'owner' || role === 'admin';
+        return { ...base, participants: 0, isAdmin: isAdmin, isMember: true, canPost: isAdmin, description: chat.description || '' };
+    }
+    if (type !== 'group') {
+        return { ...base, participants: 0, isAdmin: false, isMember: true, canPost: !chat.isReadOnly, description: '' };
+    }
+
+    const me = account.client.info ? account.client.info.wid._serialized : null;
+    const participants = chat.participants || [];
+    const self = participants.find(p => p.id._serialized === me);
+    const isAdmin = Boolean(self && (self.isAdmin || self.isSuperAdmin));
+    // Groups we left or were removed from stay in the chat list, without us among the participants.
+    // (isReadOnly can't tell: whatsapp-web.js also sets it for admins-only groups.)
+    const isMember = Boolean(self);
+    const adminsOnly = Boolean(chat.groupMetadata && chat.groupMetadata.announce);
+    return {
+        ...base,
+        participants: participants.length,
+        isAdmin: isAdmin,
+        isMember: isMember,
+        canPost: isMember && (!adminsOnly || isAdmin),
+        description: chat.description || ''
+    };
+};
+
+// Saved contacts we never chatted with can still be picked as targets
+const describeContact = (contact, account) => ({
+    id: contact.id._serialized,
+    name: contact.name || contact.pushname || contact.number,
+    type: 'contact',
+    account: account.id,
+    participants: 0,
+    isAdmin: false,
+    isMember: true,
+    canPost: !contact.isBlocked,
+    description: ''
+});
+
+// Chats rules can use, groups first. `groups` counts only real groups: until some show up
+// WhatsApp is still syncing.
+const readGroups = async (account) => {
+    const client = account.client;
+    const chats = (await client.getChats()).filter(chat => chat.id._serialized !== 'status@broadcast');
+    // Channels aren't in the chat list on every WhatsApp Web version
+    const channels = await client.getChannels().catch(() => []);
+    const contacts = await client.getContacts().catch(() => []);
+
+    const seen = new Set();
+    const all = [...chats, ...channels]
+        .filter(chat => !seen.has(chat.id._serialized) && seen.add(chat.id._serialized))
+        .map(chat => describeChat(chat, account))
+        .concat(contacts
+            .filter(c => c.isMyContact && c.isUser && !c.isMe && !seen.has(c.id._serialized))
+            .map(c => describeContact(c, account)));
+    all.sort((a, b) => CHAT_TYPES.indexOf(a.type) - CHAT_TYPES.indexOf(b.type) || (a.name || '').localeCompare(b.name || ''));
+
+    const groups = all.filter(c => c.type === 'group');
+    return { chats, groups, all };
+};
+
+// "12 groups, 40 contacts, 2 channels"
+const countChats = (list) => CHAT_TYPES
+    .map(type => [type, list.filter(c => c.type === type).length])
+    .filter(([, n]) => n > 0)
+    .map(([type, n]) => `${n} ${type}${n === 1 ? '' : 's'}`)
+    .join(', ') || 'no chats';
+
+const setGroups = (account, groups) => {
+    account.groups = groups;
+    io.emit('groups', getAllGroups());
+    emitAccounts();
+    checkRules();
+};
+
+// What's wrong with a rule's groups right now ([] when nothing, or the groups aren't loaded yet)
+const getRuleProblems = (rule) => {
+    const problems = [];
+    const check = (accountId, groupId, isTarget) => {
+        const account = getAccount(accountId);
+        if (!account || account.groups.length === 0) return;
+        const group = account.groups.find(g => g.id === groupId);
+        const who = accounts.size > 1 ? `${account.name} is` : 'We are';
+        if (!group) {
+            problems.push(`${groupId} is not in ${accounts.size > 1 ? `${account.name}'s` : 'our'} chats any more`);
+        } else if (!group.isMember) {
+            problems.push(`${who} not in ${group.name} any more`);
+        } else if (isTarget && !group.canPost) {
+            problems.push(group.type === 'group' ? `Only admins can post in ${group.name}` : `Can't send to ${group.name}`);
+        }
+    };
+    check(rule.sourceAccount || DEFAULT_ACCOUNT, rule.source, false);
+    rule.targets.forEach(id => check(rule.targetAccount || DEFAULT_ACCOUNT, id, true));
+    return problems;
+};
+
+// Flag rules with problems on the dashboard, and log each problem once when it appears
+let ruleProblems = {}; // rule ID -> [problem]
+const checkRules = () => {
+    const previous = ruleProblems;
+    ruleProblems = {};
+    for (const rule of config.rules) {
+        const problems = getRuleProblems(rule);
+        if (problems.length === 0) continue;
+        ruleProblems[rule.id] = problems;
+        problems
+            .filter(p => !(previous[rule.id] || []).includes(p))
+            .forEach(p => logger.warn('rules', `Rule "${describeRule(rule)}": ${p}`, { rule: rule.id }));
+    }
+    io.emit('ruleProblems', ruleProblems);
+};
+
 // Connection Logic
-let isReconnecting = false;
 
-const updateStatus = (status) => {
-    currentStatus = status;
-    io.emit('status', status);
+// Errors Chrome throws when a page reloads under us. Usually gone on the next try, but if they
+// keep coming the session on disk is likely corrupted.
+const SESSION_ERRORS = ['Execution context was destroyed', 'Protocol error', 'Evaluation failed'];
+const SESSION_RESET_AFTER = 4; // consecutive session errors before the session is reset
+const INIT_RETRY_BASE_MS = 5000;
+const INIT_RETRY_MAX_MS = 5 * 60 * 1000;
+
+let shuttingDown = false;
+
+// Back the session up, then delete it so the next start shows a fresh QR code.
+// Without a backup nothing is deleted. Returns whether the session was reset.
+const resetSession = (account) => {
+    try {
+        const backup = sessionBackups.backup(account.id, 'session reset');
+        if (backup) logger.info('connection', `Session backed up to ${path.relative(__dirname, backup.path)}`, { account: account.id });
+    } catch (e) {
+        logger.error('connection', 'Could not back up the session, keeping it instead of resetting', { account: account.id, error: e });
+        return false;
+    }
+
+    const authPath = getSessionDir(account.id);
+    const cachePath = path.join(__dirname, '.wwebjs_cache');
+    try {
+        if (fs.existsSync(authPath)) {
+            fs.rmSync(authPath, { recursive: true, force: true });
+            logger.info('connection', `Deleted ${path.relative(__dirname, authPath)}`, { account: account.id });
+        }
+        if (fs.existsSync(cachePath)) {
+            fs.rmSync(cachePath, { recursive: true, force: true });
+            logger.info('connection', 'Deleted .wwebjs_cache', { account: account.id });
+        }
+    } catch (e) {
+        logger.error('connection', 'Auto-cleanup failed. Please run fix_connection.bat manually.', { account: account.id, error: e });
+        return false;
+    }
+    sessionResets.inc({ account: account.id });
+    return true;
 };
 
-const initializeClient = async () => {
-    updateStatus('Initializing...');
-    io.emit('log', 'Launching WhatsApp Engine... (Please wait for Chrome Window)');
+const initializeClient = async (account) => {
+    if (account.removed || shuttingDown) return;
+    updateStatus(account, 'Initializing...');
+    logger.info('connection', 'Launching WhatsApp Engine... (Please wait for Chrome Window)', { account: account.id });
     try {
-        await client.initialize();
+        await account.client.initialize();
+        account.initFailures = 0;
+        account.sessionErrors = 0;
     } catch (e) {
-        console.error('Initialization error:', e);
-        updateStatus('Init Error');
+        logger.error('connection', 'Initialization error', { account: account.id, error: e });
+        updateStatus(account, 'Init Error');
+        if (account.removed || shuttingDown) return;
+
+        account.initFailures = (account.initFailures || 0) + 1;
+        const delay = Math.min(INIT_RETRY_BASE_MS * Math.pow(2, account.initFailures - 1), INIT_RETRY_MAX_MS);
+        const retry = () => setTimeout(() => initializeClient(account), delay);
 
-        // AUTO-FIX for "Execution context destroyed" or Session Corruption
         const errorMsg = e.message || '';
-        if (errorMsg.includes('Execution context was destroyed') ||
-            errorMsg.includes('Protocol error') ||
-            errorMsg.includes('Evaluation failed')) {
-
-            io.emit('log', 'CRITICAL ERROR: Session corrupted. Performing auto-cleanup...');
-            console.log('Detected fatal error. Cleaning up session data...');
-
-            // Attempt to destroy client to release locks
-            try { await client.destroy(); } catch (err) { }
-
-            // Delete session files
-            const authPath = path.join(__dirname, '.wwebjs_auth');
-            const cachePath = path.join(__dirname, '.wwebjs_cache');
-
-            setTimeout(() => {
-                try {
-                    // Using recursive delete
-                    if (fs.existsSync(authPath)) {
-                        fs.rmSync(authPath, { recursive: true, force: true });
-                        console.log('Deleted .wwebjs_auth');
-                    }
-                    if (fs.existsSync(cachePath)) {
-                        fs.rmSync(cachePath, { recursive: true, force: true });
-                        console.log('Deleted .wwebjs_cache');
+        if (!SESSION_ERRORS.some(text => errorMsg.includes(text))) {
+            account.sessionErrors = 0;
+            logger.warn('connection', `Initialization failed. Retrying in ${delay / 1000}s...`, { account: account.id });
+            return retry();
+        }
+
+        account.sessionErrors = (account.sessionErrors || 0) + 1;
+        // Release Chrome's locks on the session before the next try
+        try { await account.client.destroy(); } catch (err) { }
+
+        if (account.sessionErrors < SESSION_RESET_AFTER) {
+            logger.warn('connection', `Session error (${account.sessionErrors} of ${SESSION_RESET_AFTER} before a reset). Retrying in ${delay / 1000}s...`, { account: account.id });
+            return retry();
+        }
+
+        logger.error('connection', `Session failed to start ${SESSION_RESET_AFTER} times in a row, resetting it...`, { account: account.id });
+        account.sessionErrors = 0;
+        if (resetSession(account)) {
+            account.initFailures = 0;
+            logger.warn('connection', 'Session reset, a new QR code will follow. Restarting in 3s...', { account: account.id });
+            setTimeout(() => initializeClient(account), 3000);
+        } else {
+            retry();
+        }
+    }
+};
+
+const attachClientEvents = (account) => {
+    const client = account.client;
+
+    client.on('qr', (qr) => {
+        qrcode.toDataURL(qr, (err, url) => {
+            if (!err) {
+                account.lastQr = url;
+                io.to('admins').emit('qr', { account: account.id, url });
+                // The code refreshes every few seconds, only the first one means "needs linking"
+                if (account.status !== 'Scan QR Code') webhooks.emit('account.qr', { account: account.id });
+                updateStatus(account, 'Scan QR Code');
+                logger.info('connection', 'Please scan the new QR Code', { account: account.id });
+            }
+        });
+    });
+
+    client.on('ready', async () => {
+        account.lastQr = null;
+        updateStatus(account, 'Connected');
+        io.emit('ready', { account: account.id });
+        account.isReconnecting = false;
+        queue.kick(); // resume queued deliveries
+
+        logger.info('connection', 'Client is ready. Fetching groups... (This can take 30s for new logins)', { account: account.id });
+
+        // Robust Fetching Loop
+        let attempts = 0;
+        const fetchGroups = async () => {
+            if (account.removed) return;
+            attempts++;
+            try {
+                logger.debug('connection', `Fetching chats (Attempt ${attempts})...`, { account: account.id });
+                const { chats, groups, all } = await readGroups(account);
+
+                if (groups.length > 0) {
+                    setGroups(account, all);
+                    logger.info('connection', `Success: Loaded ${countChats(all)}.`, { account: account.id });
+                    // If we found groups, we can stop aggressive fetching, but maybe check once more later
+                    if (attempts < 5) setTimeout(fetchGroups, 5000);
+                } else {
+                    logger.info('connection', `Syncing... Scanned ${chats.length} chats so far (Waiting for groups)`, { account: account.id });
+                    if (attempts < 20) { // Try for ~2 minutes
+                        setTimeout(fetchGroups, 5000);
+                    } else {
+                        // Direct chats and channels still work for an account without groups
+                        setGroups(account, all);
+                        logger.warn('connection', 'Could not find groups automatically. Please click "Refresh Groups" manually.', { account: account.id });
                     }
-                    io.emit('log', 'Session reset. Restarting in 3s...');
-                } catch (rmErr) {
-                    console.error('Failed to cleanup session files:', rmErr);
-                    io.emit('log', 'Auto-cleanup failed. Please run fix_connection.bat manually.');
                 }
+            } catch (e) {
+                logger.error('connection', 'Error reading chats. Retrying...', { account: account.id, error: e });
+                if (attempts < 20) setTimeout(fetchGroups, 5000);
+            }
+        };
 
-                setTimeout(initializeClient, 3000);
-            }, 1000);
-            return;
+        fetchGroups();
+    });
+
+    client.on('authenticated', () => {
+        updateStatus(account, 'Authenticated');
+        logger.info('connection', 'Authentication successful, waiting for ready...', { account: account.id });
+    });
+
+    client.on('auth_failure', msg => {
+        updateStatus(account, 'Auth Failure');
+        logger.error('connection', 'Authentication failed: ' + msg, { account: account.id });
+        webhooks.emit('account.auth_failure', { account: account.id, message: msg });
+    });
+
+    client.on('disconnected', async (reason) => {
+        updateStatus(account, 'Disconnected');
+        if (account.removed || shuttingDown) return;
+        logger.warn('connection', `Disconnected (${reason}). Reconnecting...`, { account: account.id });
+        webhooks.emit('account.disconnected', { account: account.id, reason: reason });
+
+        if (!account.isReconnecting) {
+            account.isReconnecting = true;
+            reconnects.inc({ account: account.id });
+            // Destroy and re-init
+            try {
+                await client.destroy();
+            } catch (e) { logger.error('connection', 'Error destroying client', { account: account.id, error: e }); }
+
+            setTimeout(() => initializeClient(account), 3000);
         }
+    });
+
+    client.on('message_create', msg => handleInOrder(account, msg));
+    client.on('message_revoke_everyone', (after, before) => handleRevoke(account, after, before));
+    client.on('message_edit', (msg, newBody, prevBody) => handleEdit(account, msg, newBody, prevBody));
+};
+
+const startAccount = (def) => {
+    const account = {
+        id: def.id,
+        name: def.name || def.id,
+        client: createClient(def.id),
+        status: 'Initializing...',
+        groups: [],
+        lastQr: null,
+        isReconnecting: false,
+        removed: false
+    };
+    accounts.set(account.id, account);
+    attachClientEvents(account);
+    initializeClient(account);
+    return account;
+};
+
+const stopAccount = async (account) => {
+    account.removed = true;
+    accounts.delete(account.id);
+    try { await account.client.destroy(); } catch (e) { logger.error('connection', 'Error destroying client', { account: account.id, error: e }); }
+    io.emit('groups', getAllGroups());
+    emitAccounts();
+};
+
+// Is this message from one of our own numbers (any account)?
+const isFromOwnAccount = (msg) => {
+    if (msg.fromMe) return true;
+    const author = msg.author || msg.from;
+    return [...accounts.values()].some(a => a.client.info && a.client.info.wid._serialized === author);
+};
+
+// Message Handling
 
-        io.emit('log', 'Initialization failed. Retrying in 5s...');
-        setTimeout(initializeClient, 5000);
+// Robust Extension Mapping for WhatsApp
+// Kinds whose caption/body can be templated and rewritten
+const CAPTION_KINDS = ['text', 'image', 'video', 'document'];
+
+// Send media from a file (most reliable for videos). Returns the sent message.
+// The download is shared through mediaCache by every target and rule of the message (mediaKey).
+// `client` is the account sending the copy, which may not be the one that received `msg`
+const sendMediaNative = async (client, msg, kind, targetId, caption, mediaOptions, logFields, mediaKey, quotedMessageId) => {
+    const cached = await mediaCache.acquire(mediaKey, async () => {
+        logger.info('media', 'Downloading media content...', logFields);
+        const stopDownloadTimer = downloadSeconds.startTimer({ kind });
+        const media = await msg.downloadMedia();
+        stopDownloadTimer();
+        if (media && media.data) mediaBytes.inc({ stage: 'downloaded' }, Buffer.byteLength(media.data, 'base64'));
+        return media;
+    }, msg._data.size);
+    logger.debug('media', `Using cached ${path.basename(cached.filePath)} (${cached.size} bytes). Mime: ${cached.mime}`, logFields);
+
+    const mediaLog = (text, error) => error ? logger.warn('media', text, { ...logFields, error }) : logger.info('media', text, logFields);
+    try {
+        // Optional transcode/resize/watermark stage (per rule), done once for all targets with the same settings
+        const processed = await mediaCache.processed(mediaKey, { kind, mediaOptions }, (output) =>
+            processMedia(cached.filePath, cached.mime, kind, mediaOptions, mediaLog, __dirname, output));
+
+        const data = await fsp.readFile(processed.filePath);
+        // FORCE MIME AND FILENAME (Crucial for playback)
+        // Documents keep the name they were posted with
+        const filename = kind === 'document' ? (cached.filename || msg._data.filename || path.basename(cached.filePath)) : path.basename(processed.filePath);
+        const mediaFromFile = new MessageMedia(processed.mime, data.toString('base64'), filename, data.length);
+
+        const sendOptions = {
+            caption: CAPTION_KINDS.includes(kind) ? caption : undefined,
+            sendAudioAsVoice: kind === 'voice',
+            sendMediaAsSticker: kind === 'sticker',
+            sendMediaAsDocument: kind === 'document',
+            quotedMessageId: quotedMessageId
+        };
+
+        logger.info('media', `Media ready (${(data.length / 1024 / 1024).toFixed(2)} MB). Sending...`, logFields);
+
+        const sent = await client.sendMessage(targetId, mediaFromFile, sendOptions);
+        mediaBytes.inc({ stage: 'sent' }, data.length);
+        return sent;
+    } finally {
+        mediaCache.release(mediaKey);
     }
 };
 
-client.on('qr', (qr) => {
-    console.log('QR Code received');
-    qrcode.toDataURL(qr, (err, url) => {
-        if (!err) {
-            io.emit('qr', url);
-            updateStatus('Scan QR Code');
-            io.emit('log', 'Please scan the new QR Code');
+// Send one message of the given kind to a single target, from `client`
+// options = { caption: rewritten caption/body, allowFallback: false when msg.forward() would leak the original text,
+//             media: rule.media processing options, crossAccount: true when `client` didn't receive msg,
+//             rule: rule ID for the log, mediaKey: shared download of msg (defaults to its ID),
+//             quotedMessageId: message in the target to reply to }
+// Returns { message, path }: the sent message when whatsapp-web.js gives one back (msg.forward() doesn't),
+// and whether it went out 'native' or as a 'fallback' forward (null if nothing was sent)
+const sendToTarget = async (client, msg, kind, targetId, options = {}) => {
+    const caption = options.caption !== undefined ? options.caption : (msg.body || '');
+    const logFields = { rule: options.rule, group: targetId, msgId: msg.id._serialized };
+    const replyOptions = options.quotedMessageId ? { quotedMessageId: options.quotedMessageId } : {};
+
+    if (getChatTypeById(targetId) === 'channel' && CHANNEL_UNSUPPORTED_KINDS.includes(kind)) {
+        logger.info('delivery', `--> Skipped ${kind} (channels don't accept it) 🚫`, logFields);
+        return { message: null, path: null };
+    }
+
+    if (kind === 'text') {
+        if (!caption.trim()) {
+            logger.info('delivery', '--> Skipped text (empty after rewrite) 🚫', logFields);
+            return { message: null, path: null };
         }
-    });
-});
+        const sent = await client.sendMessage(targetId, caption, replyOptions);
+        logger.info('delivery', '--> Sent text ✅', logFields);
+        return { message: sent, path: 'native' };
+    }
+
+    if (kind === 'location') {
+        const loc = msg.location;
+        const sent = await client.sendMessage(targetId, new Location(loc.latitude, loc.longitude, {
+            name: loc.name,
+            address: loc.address,
+            url: loc.url
+        }), replyOptions);
+        logger.info('delivery', '--> Sent location ✅', logFields);
+        return { message: sent, path: 'native' };
+    }
+
+    if (kind === 'contact') {
+        // vCard strings are turned into contact cards by whatsapp-web.js
+        let sent = null;
+        for (const vCard of msg.vCards) {
+            // Only the first card of a reply quotes anything
+            sent = await client.sendMessage(targetId, vCard, { parseVCards: true, ...(sent ? {} : replyOptions) });
+        }
+        logger.info('delivery', `--> Sent ${msg.vCards.length} contact card(s) ✅`, logFields);
+        return { message: sent, path: 'native' };
+    }
 
-client.on('ready', async () => {
-    console.log('Client is ready!');
-    updateStatus('Connected');
-    io.emit('ready');
-    isReconnecting = false;
+    if (kind === 'poll') {
+        const options = (msg.pollOptions || []).map(o => o.name);
+        const sent = await client.sendMessage(targetId, new Poll(msg.pollName, options, {
+            allowMultipleAnswers: msg.allowMultipleAnswers
+        }), replyOptions);
+        logger.info('delivery', '--> Sent poll ✅', logFields);
+        return { message: sent, path: 'native' };
+    }
 
-    io.emit('log', 'Fetching groups... (This can take 30s for new logins)');
+    // Media kinds
+    logger.debug('media', `Starting media process for ${kind}`, logFields);
 
-    // Robust Fetching Loop
-    let attempts = 0;
-    const fetchGroups = async () => {
-        attempts++;
+    // 1. Try to download, Save to Disk, and Send
+    if (msg.hasMedia) {
         try {
-            console.log(`Fetching chats (Attempt ${attempts})...`);
-            const chats = await client.getChats();
-            const groups = chats
-                .filter(chat => chat.isGroup)
-                .map(chat => ({ id: chat.id._serialized, name: chat.name }));
-
-            if (groups.length > 0) {
-                availableGroups = groups;
-                io.emit('groups', availableGroups);
-                io.emit('log', `Success: Loaded ${availableGroups.length} groups.`);
-                // If we found groups, we can stop aggressive fetching, but maybe check once more later
-                if (attempts < 5) setTimeout(fetchGroups, 5000);
-            } else {
-                io.emit('log', `Syncing... Scanned ${chats.length} chats so far (Waiting for groups)`);
-                if (attempts < 20) { // Try for ~2 minutes
-                    setTimeout(fetchGroups, 5000);
-                } else {
-                    io.emit('log', 'Could not find groups automatically. Please click "Refresh Groups" manually.');
-                }
+            const sent = await sendMediaNative(client, msg, kind, targetId, caption, options.media, logFields, options.mediaKey || msg.id._serialized, options.quotedMessageId);
+            if (sent) {
+                logger.info('delivery', '--> Sent as Native Media ✅', logFields);
+                return { message: sent, path: 'native' };
             }
-        } catch (e) {
-            console.error("Error fetching chats", e);
-            io.emit('log', 'Error reading chats. Retrying...');
-            if (attempts < 20) setTimeout(fetchGroups, 5000);
+        } catch (downloadErr) {
+            // The disk cap is a limit to respect, not a failed download: the queue retries later (or gives up)
+            if (downloadErr.cacheFull) {
+                logger.warn('delivery', `Native Send postponed: ${downloadErr.message}. ${downloadErr.permanent ? 'Giving up' : 'Will retry'}, not forwarding`, logFields);
+                throw downloadErr;
+            }
+            logger.warn('delivery', `Native Send failed: ${downloadErr.message}. Trying forward...`, { ...logFields, error: downloadErr });
         }
+    }
+
+    // 2. Fallback to Forward (If download failed or not media)
+    if (options.crossAccount) {
+        // msg.forward() always sends from the account that received msg
+        throw new Error('Native send failed and fallback forward is not possible across accounts');
+    }
+    if (options.allowFallback === false) {
+        throw new Error('Native send failed and fallback forward is disabled (caption was rewritten)');
+    }
+    logger.info('delivery', `Switching to Fallback Forward...${options.quotedMessageId ? ' (a forward cannot be threaded as a reply)' : ''}`, logFields);
+    await msg.forward(targetId);
+    // msg.forward() doesn't return the new message. Guessing it from the target's latest messages
+    // could pick another send, and edits/deletions would then hit that one, so the copy isn't tracked.
+    logger.info('delivery', '--> Forwarded (Fallback) ✅ (later edits and deletions are not synced to it)', logFields);
+    return { message: null, path: 'fallback' };
+};
+
+// Delivery Queue
+
+const history = createHistory(path.join(DATA_DIR, 'history.jsonl'), {
+    log: (message, error) => logger.error('delivery', message, { error })
+});
+const messageMap = createMessageMap(path.join(DATA_DIR, 'message_map.json'), {
+    log: (message, error) => logger.error('sync', message, { error })
+});
+const mediaCache = createMediaCache({
+    dir: path.join(DATA_DIR, 'media'),
+    getMaxBytes: () => getSettings().mediaCacheMB * 1024 * 1024,
+    log: (message) => logger.info('media', message)
+});
+
+// Live message objects for queued jobs (after a restart they're fetched by ID).
+// Keyed by account too, each client has its own object for the same message.
+const messageCache = new Map();
+const cacheKey = (accountId, msgId) => `${accountId || DEFAULT_ACCOUNT}|${msgId}`;
+
+// Account for one end of a job, jobs queued before accounts existed use the default one
+const getJobAccount = (accountId) => {
+    const account = getAccount(accountId);
+    if (!account) {
+        const err = new Error(`Account "${accountId}" no longer exists`);
+        err.permanent = true;
+        throw err;
+    }
+    return account;
+};
+
+// What webhooks get to know about a delivery
+const describeJob = (job) => {
+    const rule = findRule(job.rule);
+    return {
+        rule: job.rule,
+        ruleName: rule ? rule.name : undefined,
+        msgId: job.msgId,
+        type: job.kind,
+        sourceId: job.sourceId,
+        sourceName: getGroupName(job.sourceId),
+        sourceAccount: job.sourceAccount || DEFAULT_ACCOUNT,
+        targetId: job.targetId,
+        targetName: getGroupName(job.targetId),
+        targetAccount: job.targetAccount || DEFAULT_ACCOUNT
     };
+};
+
+// Log tags for a job, from the sending side
+const jobLogFields = (job) => ({ account: job.targetAccount, rule: job.rule, group: job.targetId, msgId: job.msgId });
+
+const deliverJob = async (job) => {
+    // Dry run was switched on while this was queued or held
+    if (isDryRun(findRule(job.rule))) {
+        loopGuard.unmarkDelivered(job.contentKey, job.targetId);
+        logger.info('dryrun', `Dry run: would send ${job.kind} to ${getGroupName(job.targetId)} (was already queued) 🧪`, jobLogFields(job));
+        return;
+    }
+
+    const sender = getJobAccount(job.targetAccount);
+
+    // A digest summary sent on its own isn't a copy of a message
+    if (job.kind === 'summary') {
+        await sender.client.sendMessage(job.targetId, job.caption);
+        markSent();
+        logger.info('delivery', `--> Sent digest summary to ${getGroupName(job.targetId)} ✅`, jobLogFields(job));
+        return;
+    }
+
+    // Would only fail again on every retry
+    const targetGroup = sender.groups.find(g => g.id === job.targetId);
+    if (targetGroup && !targetGroup.canPost) {
+        const err = new Error(!targetGroup.isMember ? `Not in ${targetGroup.name} any more`
+            : targetGroup.type === 'group' ? `Only admins can post in ${targetGroup.name}` : `Can't send to ${targetGroup.name}`);
+        err.permanent = true;
+        throw err;
+    }
+
+    const receiver = getJobAccount(job.sourceAccount);
+    const key = cacheKey(receiver.id, job.msgId);
+    let msg = messageCache.get(key);
+    if (!msg) {
+        msg = await receiver.client.getMessageById(job.msgId);
+        if (!msg) {
+            const err = new Error('Source message is no longer available');
+            err.permanent = true;
+            throw err;
+        }
+        messageCache.set(key, msg);
+    }
 
-    fetchGroups();
+    // A reply quotes our copy of the message it answers, if that copy went to this target.
+    // Only groups and direct chats take replies, a channel would drop the whole message.
+    const canQuote = REPLY_CHAT_TYPES.includes(getChatTypeById(job.targetId));
+    const quotedCopy = job.quotedMsgId && canQuote ? messageMap.getCopies(job.quotedMsgId)
+        .find(c => c.targetId === job.targetId && (c.account || DEFAULT_ACCOUNT) === sender.id) : null;
+
+    const entry = {
+        msgId: job.msgId,
+        rule: job.rule,
+        sourceId: job.sourceId,
+        targetId: job.targetId,
+        type: job.kind,
+        mime: job.mime,
+        size: job.size,
+        attempt: job.attempts,
+        queuedAt: job.createdAt,
+        startedAt: Date.now()
+    };
+
+    const stopSendTimer = sendSeconds.startTimer({ kind: job.kind });
+    try {
+        logger.info('delivery', `--> Processing ${job.kind} for ${getGroupName(job.targetId)}...`, jobLogFields(job));
+        const result = await loopGuard.trackInflight(job.targetId, sendToTarget(sender.client, msg, job.kind, job.targetId, {
+            caption: job.digestSummary
+                ? [job.digestSummary, job.caption !== undefined ? job.caption : (msg.body || '')].filter(Boolean).join('\n\n')
+                : job.caption,
+            allowFallback: job.allowFallback,
+            media: job.media,
+            crossAccount: sender !== receiver,
+            rule: job.rule,
+            mediaKey: key,
+            quotedMessageId: quotedCopy ? quotedCopy.msgId : undefined
+        }));
+        // sendMessage() resolves with null for content the target doesn't take, nothing went out
+        if (result.path === 'native' && !result.message) {
+            throw new Error(`WhatsApp did not send the ${job.kind} (no message came back)`);
+        }
+        loopGuard.trackOutgoing(result.message, job.contentKey, job.hops + 1);
+        if (result.message) {
+            messageMap.addCopy(job.msgId, { targetId: job.targetId, msgId: result.message.id._serialized, rule: job.rule, account: sender.id });
+        }
+        history.record({ ...entry, path: result.path, status: result.path ? 'sent' : 'skipped', finishedAt: Date.now() });
+        if (result.path) {
+            stopSendTimer();
+            markSent();
+            forwards.inc({ rule: job.rule, target: job.targetId, outcome: result.path });
+            webhooks.emit('message.forwarded', {
+                ...describeJob(job),
+                path: result.path,
+                messageId: result.message ? result.message.id._serialized : null
+            });
+        }
+    } catch (e) {
+        logger.error('delivery', `Error sending ${job.kind} to ${getGroupName(job.targetId)} (attempt ${job.attempts})`, { ...jobLogFields(job), error: e });
+        history.record({ ...entry, status: 'failed', error: e.message, finishedAt: Date.now() });
+        forwards.inc({ rule: job.rule, target: job.targetId, outcome: 'error' });
+        throw e;
+    }
+};
+
+// Forget message objects no job needs any more, and cached media no pending job needs
+// (failed jobs keep their message object for a manual retry, their media is downloaded again)
+const pruneCaches = () => {
+    const waiting = scheduler.items().map(i => i.job).concat(moderation.items().flatMap(i => i.jobs));
+    const needed = new Set(queue.jobs().concat(waiting).map(j => cacheKey(j.sourceAccount, j.msgId)));
+    for (const id of messageCache.keys()) {
+        if (!needed.has(id)) messageCache.delete(id);
+    }
+
+    const refs = new Map();
+    queue.jobs().filter(j => j.status !== 'failed').concat(waiting).forEach(job => {
+        const key = cacheKey(job.sourceAccount, job.msgId);
+        refs.set(key, (refs.get(key) || 0) + 1);
+    });
+    mediaCache.setReferences(refs);
+};
+
+const moderation = createModeration({
+    file: path.join(DATA_DIR, 'moderation.json'),
+    decisionsFile: path.join(DATA_DIR, 'moderation_decisions.jsonl'),
+    onChange: (items) => {
+        pruneCaches();
+        io.emit('moderation', items);
+    },
+    log: (message, error) => logger.error('moderation', message, { error })
 });
 
-client.on('authenticated', () => {
-    console.log('Authenticated successfully');
-    updateStatus('Authenticated');
-    io.emit('log', 'Authentication successful, waiting for ready...');
+const queue = createDeliveryQueue({
+    file: path.join(DATA_DIR, 'queue.json'),
+    deliver: deliverJob,
+    // Both ends of a job need their account online (a digest summary only needs the sender).
+    // A removed account counts as ready so the job fails for good instead of waiting forever.
+    isReady: (job) => {
+        const ready = (id) => !getAccount(id) || isAccountReady(getAccount(id));
+        return ready(job.targetAccount) && (job.kind === 'summary' || ready(job.sourceAccount));
+    },
+    getSettings: getSettings,
+    onChange: (summary) => {
+        pruneCaches();
+        io.emit('queue', summary);
+        backfills.kick();
+    },
+    onFailed: (job) => {
+        // Let the same content be sent again later
+        loopGuard.unmarkDelivered(job.contentKey, job.targetId);
+        logger.error('delivery', `Gave up on ${job.kind} for ${getGroupName(job.targetId)} after ${job.attempts} attempt(s)`, { ...jobLogFields(job), error: job.lastError });
+        webhooks.emit('delivery.failed', { ...describeJob(job), jobId: job.id, attempts: job.attempts, error: job.lastError });
+    },
+    log: (message, error) => logger.error('delivery', message, { error })
 });
 
-client.on('auth_failure', msg => {
-    console.error('Authentication failure:', msg);
-    updateStatus('Auth Failure');
-    io.emit('log', 'Authentication failed: ' + msg);
+// Scheduling (rule.schedule: active/quiet hours, delays and digests)
+
+const describeDigest = (batch) => {
+    const first = batch[0].job;
+    const rule = findRule(first.rule);
+    const timeZone = rule && rule.schedule ? rule.schedule.timeZone : undefined;
+    const formatTime = (t) => new Date(t).toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', minute: '2-digit' });
+
+    const counts = {};
+    batch.forEach(item => { counts[item.job.kind] = (counts[item.job.kind] || 0) + 1; });
+    const summary = Object.keys(counts).map(kind => `${counts[kind]} ${kind}${counts[kind] > 1 ? 's' : ''}`).join(', ');
+
+    return `📦 Digest from ${getGroupName(first.sourceId)}: ${summary} (${formatTime(batch[0].heldAt)}–${formatTime(batch[0].collectUntil)})`;
+};
+
+const scheduler = createScheduler({
+    file: path.join(DATA_DIR, 'scheduled.json'),
+    release: (batch) => {
+        const jobs = batch.map(item => item.job);
+        if (batch[0].digestId) {
+            const first = jobs[0];
+            // The summary goes out as the caption of the first message, or on its own before a
+            // batch that starts with something captions can't go on (sticker, location, ...)
+            if (CAPTION_KINDS.includes(first.kind)) {
+                jobs[0] = { ...first, digestSummary: describeDigest(batch) };
+            } else {
+                queue.enqueue({ kind: 'summary', sourceId: first.sourceId, targetId: first.targetId, targetAccount: first.targetAccount, rule: first.rule, caption: describeDigest(batch) });
+            }
+            logger.info('schedule', `Releasing digest of ${batch.length} message(s) for ${getGroupName(first.targetId)}`, { account: first.targetAccount, rule: first.rule, group: first.targetId });
+        } else {
+            logger.info('schedule', `Releasing held ${batch[0].job.kind} for ${getGroupName(batch[0].job.targetId)}`, jobLogFields(batch[0].job));
+        }
+        jobs.forEach(job => queue.enqueue(job));
+    },
+    onChange: (items) => {
+        pruneCaches();
+        io.emit('scheduled', items);
+    },
+    log: (message, error) => logger.error('schedule', message, { error })
 });
 
-client.on('disconnected', async (reason) => {
-    console.log('Client disconnected:', reason);
-    updateStatus('Disconnected');
-    io.emit('log', `Disconnected (${reason}). Reconnecting...`);
+// Backfill (replay a source's past messages into its targets)
+
+const BACKFILL_MAX_MESSAGES = 1000;
+
+// `${msgId}|${targetId}` of copies that went out from this source, or are on their way
+const getForwardedPairs = (sourceId) => {
+    const pairs = new Set(history.query({ group: sourceId })
+        .filter(r => r.status === 'sent')
+        .map(r => `${r.msgId}|${r.targetId}`));
+    queue.jobs().filter(j => j.status !== 'failed').concat(scheduler.items().map(i => i.job))
+        .forEach(j => pairs.add(`${j.msgId}|${j.targetId}`));
+    return pairs;
+};
+
+// Fetch the source's history and run it through the rule like live messages.
+// Backfilled copies skip the rule's schedule, they are old news already.
+const planBackfill = async (backfill) => {
+    const rule = findRule(backfill.rule);
+    if (!rule) throw new Error('Rule no longer exists');
+    const account = getAccount(rule.sourceAccount);
+    if (!isAccountReady(account)) throw new Error(`Account ${rule.sourceAccount || DEFAULT_ACCOUNT} is not connected`);
+    const ruleFields = { account: account.id, rule: rule.id, group: rule.source };
+
+    // fetchMessages() returns the newest `limit` messages, oldest first
+    const chat = await account.client.getChatById(rule.source);
+    const ranged = Boolean(backfill.since || backfill.until);
+    let messages = await chat.fetchMessages({ limit: ranged ? BACKFILL_MAX_MESSAGES : backfill.limit });
+    messages = messages.filter(m => (!backfill.since || m.timestamp * 1000 >= backfill.since) &&
+        (!backfill.until || m.timestamp * 1000 <= backfill.until));
+    if (backfill.limit) messages = messages.slice(-backfill.limit);
+    backfill.found = messages.length;
+    logger.info('backfill', `Backfill of ${describeRule(rule)}: found ${messages.length} message(s) in ${chat.name}`, ruleFields);
+
+    const forwarded = getForwardedPairs(rule.source);
+    const dedupeWindow = getSettings().dedupeWindowMinutes * 60 * 1000;
+    const albums = new Map(); // sender -> { id, timestamp }, same grouping as getAlbumId
+    const jobs = [];
+
+    for (const msg of messages) {
+        const kind = getMessageKind(msg);
+        const { key: contentKey, hops } = kind ? loopGuard.getIncomingInfo(msg, kind, isFromOwnAccount(msg)) : {};
+        if (!kind || !getRuleTypes(rule).includes(kind) || checkFilters(rule.filters, getFilterInfo(msg), ruleLog(rule)) ||
+            (rule.maxHops && hops >= rule.maxHops)) {
+            backfill.skipped++;
+            continue;
+        }
+
+        let albumId;
+        if (kind === 'image' || kind === 'video') {
+            const sender = msg.author || msg.from;
+            const last = albums.get(sender);
+            const album = last && msg.timestamp - last.timestamp <= ALBUM_WINDOW ? last : { id: msg.id._serialized };
+            album.timestamp = msg.timestamp;
+            albums.set(sender, album);
+            albumId = album.id;
+        }
+
+        const sendOptions = await getSendOptions(rule, msg, chat, kind);
+        const quotedMsgId = await getQuotedMsgId(msg, { ...ruleFields, msgId: msg.id._serialized });
+        for (const targetId of backfill.targets) {
+            if (forwarded.has(`${msg.id._serialized}|${targetId}`) || loopGuard.isDuplicate(contentKey, targetId, dedupeWindow)) {
+                backfill.alreadySent++;
+                continue;
+            }
+            jobs.push(buildJob(account, msg, rule, targetId, { kind, ...sendOptions, contentKey, hops, quotedMsgId, albumId }));
+        }
+    }
 
-    if (!isReconnecting) {
-        isReconnecting = true;
-        // Destroy and re-init
+    logger.info('backfill', `Backfill of ${describeRule(rule)}: ${jobs.length} to send, ${backfill.skipped} not for this rule, ${backfill.alreadySent} already sent`, ruleFields);
+    return jobs;
+};
+
+const backfills = createBackfills({
+    plan: planBackfill,
+    enqueue: (job) => queue.enqueue(job),
+    getJob: (id) => queue.jobs().find(j => j.id === id),
+    discard: (id) => queue.discard(id),
+    getIntervalMs: () => getSettings().backfillIntervalSeconds * 1000,
+    onChange: (list) => io.emit('backfills', list),
+    onFailed: (backfill) => logger.error('backfill', 'Backfill could not start', { rule: backfill.rule, error: backfill.error })
+});
+
+// Values for caption template placeholders
+const getCaptionContext = async (msg, chat) => {
+    const sender = (msg.author || msg.from || '').split('@')[0];
+    let senderName = msg._data.notifyName;
+    if (!senderName) {
         try {
-            await client.destroy();
-        } catch (e) { console.error('Error destroyed client', e); }
+            const contact = await msg.getContact();
+            senderName = contact.pushname || contact.name;
+        } catch (e) { }
+    }
+
+    return {
+        sender: sender,
+        senderName: senderName || sender,
+        sourceGroup: chat.name,
+        time: new Date(msg.timestamp * 1000).toLocaleString()
+    };
+};
+
+// Dry run: everything up to the send, then just log what would go out.
+// downloadOnce() is shared by all dry-run targets of the message so media is only fetched once.
+const simulateSend = async (msg, kind, rule, targetId, caption, downloadOnce, logFields) => {
+    let mediaNote = '';
+    if (msg.hasMedia) {
+        try {
+            const media = await downloadOnce();
+            if (!media || !media.data) throw new Error('Data unavailable');
+            mediaNote = ` (${(Buffer.byteLength(media.data, 'base64') / 1024).toFixed(0)} KB downloaded)`;
+        } catch (e) {
+            mediaNote = ` (download failed: ${e.message})`;
+        }
+    }
+
+    const text = caption !== undefined ? caption : (msg.body || '');
+    const preview = text.length > 60 ? `${text.slice(0, 57)}...` : text;
+    const captionNote = CAPTION_KINDS.includes(kind) && text ? ` with "${preview}"` : '';
+    const releaseNote = rule.schedule ? ` at ${new Date(getReleaseTime(rule.schedule, Date.now())).toLocaleString()}` : '';
+    logger.info('dryrun', `Dry run: would send ${kind}${mediaNote}${captionNote} to ${getGroupName(targetId)}${releaseNote} 🧪`, logFields);
+};
+
+// WhatsApp Web doesn't say which photos form an album, so photos and videos from the same
+// sender less than ALBUM_WINDOW seconds apart count as one. The album is named after its first message.
+const ALBUM_WINDOW = 5;
+const lastAlbums = new Map(); // `${account}|${chat}|${sender}` -> { id, timestamp }
 
-        setTimeout(initializeClient, 3000);
+const getAlbumId = (account, chatId, msg, kind) => {
+    if (kind !== 'image' && kind !== 'video') return undefined;
+    for (const [key, album] of lastAlbums) {
+        if (msg.timestamp - album.timestamp > ALBUM_WINDOW) lastAlbums.delete(key);
     }
+    const key = `${account.id}|${chatId}|${msg.author || msg.from}`;
+    const album = lastAlbums.get(key) || { id: msg.id._serialized };
+    album.timestamp = msg.timestamp;
+    lastAlbums.set(key, album);
+    return album.id;
+};
+
+// What rule filters look at
+const getFilterInfo = (msg) => ({
+    caption: msg.body || '',
+    sender: msg.author || msg.from,
+    mime: msg._data.mimetype || '',
+    size: msg._data.size
 });
 
-// Message Handling
-client.on('message_create', async msg => {
+// { caption, allowFallback } when the rule rewrites the caption, {} when it doesn't
+const getSendOptions = async (rule, msg, chat, kind) => {
+    if (!rule.caption || !CAPTION_KINDS.includes(kind)) return {};
+    const caption = buildCaption(rule.caption, msg.body, await getCaptionContext(msg, chat), ruleLog(rule));
+    return {
+        caption: caption,
+        // msg.forward() can only repost the original, so honour the rule's choice
+        allowFallback: caption === (msg.body || '') || rule.caption.onFallback !== 'skip'
+    };
+};
+
+// ID of the message a reply quotes, so its copies can quote our copy of that one
+const getQuotedMsgId = async (msg, logFields) => {
+    if (!msg.hasQuotedMsg) return undefined;
+    try {
+        const quoted = await msg.getQuotedMessage();
+        return quoted ? quoted.id._serialized : undefined;
+    } catch (e) {
+        logger.warn('message', 'Could not look up the quoted message, copies will not be threaded', { ...logFields, error: e });
+        return undefined;
+    }
+};
+
+// The delivery job for one copy of msg (seen by `account`)
+// fields = { kind, caption, allowFallback, contentKey, hops, quotedMsgId, albumId }
+const buildJob = (account, msg, rule, targetId, fields) => ({
+    msgId: msg.id._serialized,
+    sourceId: rule.source,
+    targetId: targetId,
+    sourceAccount: account.id,
+    targetAccount: rule.targetAccount || DEFAULT_ACCOUNT,
+    rule: rule.id,
+    kind: fields.kind,
+    mime: msg._data.mimetype || undefined,
+    size: msg._data.size,
+    caption: fields.caption,
+    allowFallback: fields.allowFallback,
+    media: rule.media,
+    contentKey: fields.contentKey,
+    hops: fields.hops,
+    quotedMsgId: fields.quotedMsgId,
+    albumId: fields.albumId
+});
+
+// Queue a job, or hold it until its rule's schedule allows sending
+const dispatchJob = (job, rule) => {
+    const held = rule && rule.schedule && scheduler.hold(job, rule.schedule, job.rule);
+    if (held) {
+        logger.info('schedule', `--> Holding ${job.kind} for ${getGroupName(job.targetId)} until ${new Date(held.releaseAt).toLocaleString()}${held.digestId ? ' (digest)' : ''} ⏳`, jobLogFields(job));
+    } else {
+        queue.enqueue(job);
+        logger.info('delivery', `--> Queued ${job.kind} for ${getGroupName(job.targetId)}`, jobLogFields(job));
+    }
+};
+
+// Moderated rules: download the media now so the moderator can look at it, then wait for a decision
+const holdForModeration = async (account, msg, chat, rule, jobs, logFields) => {
+    const key = cacheKey(account.id, msg.id._serialized);
+    if (msg.hasMedia) {
+        try {
+            // Kept in the cache for as long as the item waits (see pruneCaches)
+            await mediaCache.acquire(key, () => msg.downloadMedia(), msg._data.size);
+            mediaCache.release(key);
+        } catch (e) {
+            logger.warn('moderation', 'Could not download media for the preview, it is fetched again if approved', { ...logFields, rule: rule.id, error: e });
+        }
+    }
+
+    const context = await getCaptionContext(msg, chat);
+    const first = jobs[0];
+    moderation.hold({
+        rule: rule.id,
+        msgId: first.msgId,
+        sourceId: first.sourceId,
+        sourceAccount: account.id,
+        kind: first.kind,
+        mime: first.mime,
+        caption: first.caption !== undefined ? first.caption : (msg.body || ''),
+        sender: context.sender,
+        senderName: context.senderName,
+        jobs: jobs
+    });
+    logger.info('moderation', `--> Waiting for approval: ${first.kind} for ${jobs.map(j => getGroupName(j.targetId)).join(', ')} 🛡️`, { ...logFields, rule: rule.id });
+};
+
+// message_create handlers would otherwise run side by side and queue an album in whatever
+// order their awaits finish. One chain per source chat keeps the order messages arrived in.
+const sourceChains = new Map(); // `${account}|${chat}` -> handler of the chat's latest message
+
+const handleInOrder = (account, msg) => {
+    if (shuttingDown) return;
+    const key = cacheKey(account.id, msg.fromMe ? msg.to : msg.from);
+    const previous = sourceChains.get(key) || Promise.resolve();
+    // handleMessage logs its own errors, it never rejects
+    const current = previous.then(() => handleMessage(account, msg));
+    sourceChains.set(key, current);
+    current.then(() => {
+        if (sourceChains.get(key) === current) sourceChains.delete(key);
+    });
+};
+
+const handleMessage = async (account, msg) => {
     try {
         const chat = await msg.getChat();
 
-        // We only care about groups
-        if (!chat.isGroup) return;
+        // Status updates are never forwarded
+        if (chat.id._serialized === 'status@broadcast') return;
 
-        // DEBUG LOG: Show everything received to confirm connection
-        console.log(`DEBUG: Msg in ${chat.name} (${msg.type})`);
-        io.emit('log', `DEBUG: Saw ${msg.type} in ${chat.name}`);
+        const logFields = { account: account.id, group: chat.id._serialized, msgId: msg.id._serialized };
+        // Every message in every chat, only recorded with LOG_LEVEL=debug
+        logger.debug('message', `Saw ${msg.type} in ${chat.name}`, logFields);
 
-        // Check if this group is a source in any rule
-        const validRules = config.rules.filter(r => r.source === chat.id._serialized);
+        // Check if this chat is a source in any rule for this account
+        const sourceRules = config.rules.filter(r => r.enabled !== false && r.source === chat.id._serialized &&
+            (r.sourceAccount || DEFAULT_ACCOUNT) === account.id);
+        if (sourceRules.length === 0) return;
+        messagesSeen.inc({ account: account.id, source: chat.id._serialized });
 
-        if (validRules.length > 0) {
-            const type = msg.type; // chat, image, audio, ptt, document, etc.
+        const type = msg.type; // chat, image, audio, ptt, document, etc.
+        const kind = getMessageKind(msg);
+        const mime = msg._data.mimetype || '';
 
-            console.log(`Detected msg in Source Group: ${chat.name} [Type: ${type}]`);
+        // Only rules that forward this kind of message
+        const validRules = sourceRules.filter(r => kind && getRuleTypes(r).includes(kind));
 
-            // Check MIME type for documents to see if they are actually videos/images sent as files
-            let isMedia = ['image', 'video', 'gif'].includes(type);
-            let mime = msg._data.mimetype || '';
+        if (validRules.length === 0) {
+            // Explicitly tell user on UI why it was skipped (plain chatter is too noisy to log)
+            logger.log(kind === 'text' ? 'debug' : 'info', 'message', `Skipped ${type}${mime ? ` (${mime})` : ''} (Not enabled for this group) 🚫`, logFields);
+            return;
+        }
 
-            if (type === 'document') {
-                if (mime.startsWith('image/') || mime.startsWith('video/')) {
-                    isMedia = true;
-                    console.log(`Document identified as media: ${mime}`);
-                }
+        // deep logging
+        logger.info('message', `Detected ${kind.toUpperCase()}${mime ? ` (${mime})` : ''} in ${chat.name}`, logFields);
+
+        // Our own forwarded copies come back through here (also to our other accounts),
+        // wait until we know their IDs
+        if (isFromOwnAccount(msg)) await loopGuard.waitForInflight(chat.id._serialized);
+
+        const { key: contentKey, hops } = loopGuard.getIncomingInfo(msg, kind, isFromOwnAccount(msg));
+        const dedupeWindow = getSettings().dedupeWindowMinutes * 60 * 1000;
+        loopGuard.prune(dedupeWindow);
+
+        // This group already has the content, so never send it back here
+        loopGuard.markDelivered(contentKey, chat.id._serialized);
+
+        const filterInfo = getFilterInfo(msg);
+
+        let download = null;
+        const downloadOnce = () => download || (download = msg.downloadMedia());
+
+        const quotedMsgId = await getQuotedMsgId(msg, logFields);
+        const albumId = getAlbumId(account, chat.id._serialized, msg, kind);
+
+        for (const rule of validRules) {
+            const dropReason = checkFilters(rule.filters, filterInfo, ruleLog(rule));
+            if (dropReason) {
+                logger.info('filter', `Filtered (${describeRule(rule)}): ${dropReason} 🚫`, { ...logFields, rule: rule.id });
+                continue;
             }
 
-            if (isMedia) {
-                // deep logging
-                io.emit('log', `Detected ${type.toUpperCase()} (${mime}) in ${chat.name}`);
-
-                for (const rule of validRules) {
-                    for (const targetId of rule.targets) {
-                        if (targetId === chat.id._serialized) continue;
-
-                        try {
-                            io.emit('log', `--> Processing ${type} for target...`);
-                            console.log(`Starting media process for msg: ${msg.id._serialized}`);
-
-                            let sentAsMedia = false;
-
-                            // 1. Try to download, Save to Disk, and Send (Most Reliable for Videos)
-                            if (msg.hasMedia) {
-                                try {
-                                    io.emit('log', `Downloading media content...`);
-                                    const media = await msg.downloadMedia();
-
-                                    if (media && media.data) {
-                                        const mime = media.mimetype || 'application/octet-stream';
-
-                                        // Robust Extension Mapping for WhatsApp
-                                        const mimeMap = {
-                                            'video/mp4': 'mp4',
-                                            'video/3gpp': '3gp',
-                                            'video/quicktime': 'mov',
-                                            'video/x-matroska': 'mkv',
-                                            'image/jpeg': 'jpg',
-                                            'image/png': 'png',
-                                            'image/webp': 'webp',
-                                            'image/gif': 'gif',
-                                            'audio/ogg': 'ogg',
-                                            'audio/mp4': 'm4a',
-                                            'audio/mpeg': 'mp3'
-                                        };
-
-                                        let ext = mimeMap[mime.split(';')[0]] || mime.split('/')[1].split(';')[0] || 'bin';
-                                        const filename = `temp_${Date.now()}.${ext}`;
-
-                                        const publicDir = path.join(__dirname, 'public');
-                                        if (!fs.existsSync(publicDir)) fs.mkdirSync(publicDir);
-
-                                        const filePath = path.join(publicDir, filename);
-
-                                        // Write file
-                                        fs.writeFileSync(filePath, media.data, 'base64');
-
-                                        // LOG DETAILS
-                                        const stats = fs.statSync(filePath);
-                                        console.log(`Saved ${filename} (${stats.size} bytes). Mime: ${mime}`);
-
-                                        if (stats.size === 0) {
-                                            throw new Error("File empty after write");
-                                        }
-
-                                        const mediaFromFile = MessageMedia.fromFilePath(filePath);
-
-                                        // FORCE MIME AND FILENAME (Crucial for playback)
-                                        mediaFromFile.mimetype = mime;
-                                        mediaFromFile.filename = filename;
-
-                                        const sendOptions = {
-                                            caption: msg.body || '',
-                                            sendAudioAsVoice: type === 'ptt' || type === 'audio',
-                                            sendMediaAsDocument: false
-                                        };
-
-                                        io.emit('log', `Media cached locally (${(stats.size / 1024 / 1024).toFixed(2)} MB). Sending...`);
-
-                                        await client.sendMessage(targetId, mediaFromFile, sendOptions);
-                                        sentAsMedia = true;
-                                        io.emit('log', `--> Sent as Native Media ✅`);
-
-                                        // Cleanup
-                                        setTimeout(() => {
-                                            try { if (fs.existsSync(filePath)) fs.unlinkSync(filePath); } catch (e) { }
-                                        }, 30000); // 30s cleanup
-                                    } else {
-                                        console.error("Download returned undefined/null data");
-                                        io.emit('log', `Download failed (Data unavailable).`);
-                                    }
-                                } catch (downloadErr) {
-                                    console.error("Download/Send Error:", downloadErr);
-                                    io.emit('log', `Native Send failed: ${downloadErr.message}. Trying forward...`);
-                                }
-                            }
-
-                            // 2. Fallback to Forward (If download failed or not media)
-                            if (!sentAsMedia) {
-                                io.emit('log', `Switching to Fallback Forward...`);
-                                await msg.forward(targetId);
-                                io.emit('log', `--> Forwarded (Fallback) ✅`);
-                            }
-
-                        } catch (e) {
-                            console.error("Transmission error", e);
-                            io.emit('log', `!! Error sending ${type}: ${e.message}`);
-                        }
-                    }
+            if (rule.maxHops && hops >= rule.maxHops) {
+                logger.info('filter', `Skipped: hop limit ${rule.maxHops} reached (${describeRule(rule)}) 🔁`, { ...logFields, rule: rule.id });
+                continue;
+            }
+
+            // Rewrite the caption once per rule, it's the same for every target
+            const sendOptions = await getSendOptions(rule, msg, chat, kind);
+            const awaitingApproval = [];
+
+            for (const targetId of rule.targets) {
+                if (targetId === chat.id._serialized) continue;
+
+                if (loopGuard.isDuplicate(contentKey, targetId, dedupeWindow)) {
+                    logger.info('filter', `--> Skipped duplicate (already sent to ${getGroupName(targetId)} recently) 🔁`, { ...logFields, rule: rule.id, group: targetId });
+                    continue;
                 }
-            } else {
-                console.log(`Skipping type: ${type} (Mime: ${mime})`);
-                // Explicitly tell user on UI why it was skipped
-                if (type === 'chat') {
-                    // io.emit('log', `Ignored Text Message (Only Images/Videos allowed) 🚫`);
+                if (isDryRun(rule)) {
+                    await simulateSend(msg, kind, rule, targetId, sendOptions.caption, downloadOnce, { ...logFields, rule: rule.id, group: targetId });
+                    continue;
+                }
+                // Claim it before sending so a parallel handler can't send it too
+                loopGuard.markDelivered(contentKey, targetId);
+
+                messageCache.set(cacheKey(account.id, msg.id._serialized), msg);
+                const job = buildJob(account, msg, rule, targetId, { kind, ...sendOptions, contentKey, hops, quotedMsgId, albumId });
+                if (rule.moderated) {
+                    awaitingApproval.push(job);
                 } else {
-                    io.emit('log', `Skipped ${type} (Not an image/video) 🚫`);
+                    dispatchJob(job, rule);
                 }
             }
+
+            if (awaitingApproval.length > 0) await holdForModeration(account, msg, chat, rule, awaitingApproval, logFields);
         }
     } catch (error) {
-        console.error("Error processing message:", error);
+        logger.error('message', 'Error processing message', { account: account.id, msgId: msg.id._serialized, error: error });
     }
-});
+};
+
+// Edit & Delete Propagation (opt-in per rule via syncEdits / syncDeletes)
+
+// Is this rule watching `account` for its source messages?
+const isRuleSource = (rule, account) => rule && (rule.sourceAccount || DEFAULT_ACCOUNT) === account.id;
+
+// Copies of a source message (seen by `account`) whose rule opted in to the given sync flag
+const getSyncedCopies = (account, sourceMsgId, flag) => {
+    return messageMap.getCopies(sourceMsgId).filter(copy => {
+        const rule = findRule(copy.rule);
+        return isRuleSource(rule, account) && rule[flag];
+    });
+};
+
+// A copy can only be changed by the account that sent it
+const getCopyMessage = async (copy) => {
+    const sender = getAccount(copy.account);
+    if (!sender) throw new Error(`Account "${copy.account}" no longer exists`);
+    const copyMsg = await sender.client.getMessageById(copy.msgId);
+    if (!copyMsg) throw new Error('Copy not found');
+    return copyMsg;
+};
 
-initializeClient();
+const handleRevoke = async (account, after, before) => {
+    const sourceMsgId = after.id._serialized;
+    const isSyncedJob = (job) => {
+        const rule = findRule(job.rule);
+        return job.msgId === sourceMsgId && isRuleSource(rule, account) && rule.syncDeletes;
+    };
+
+    // Nothing went out yet, so just drop what's still queued
+    for (const job of queue.jobs()) {
+        if (isSyncedJob(job) && queue.discard(job.id)) {
+            logger.info('sync', `Source deleted: cancelled queued ${job.kind} for ${getGroupName(job.targetId)} 🗑️`, jobLogFields(job));
+        }
+    }
+    for (const item of scheduler.items()) {
+        if (isSyncedJob(item.job) && scheduler.discard(item.id)) {
+            logger.info('sync', `Source deleted: cancelled held ${item.job.kind} for ${getGroupName(item.job.targetId)} 🗑️`, jobLogFields(item.job));
+        }
+    }
+    for (const item of moderation.items()) {
+        if (isSyncedJob(item.jobs[0]) && moderation.discard(item.id)) {
+            logger.info('sync', `Source deleted: dropped ${item.kind} waiting for approval 🗑️`, { account: account.id, rule: item.rule, msgId: sourceMsgId });
+        }
+    }
+
+    const copies = getSyncedCopies(account, sourceMsgId, 'syncDeletes');
+    if (copies.length === 0) return;
+
+    logger.debug('sync', `Source message deleted, removing ${copies.length} copies`, { account: account.id, msgId: sourceMsgId });
+    for (const copy of copies) {
+        const logFields = { account: copy.account, rule: copy.rule, group: copy.targetId, msgId: sourceMsgId };
+        try {
+            const copyMsg = await getCopyMessage(copy);
+            await copyMsg.delete(true);
+            logger.info('sync', `Source deleted: removed copy in ${getGroupName(copy.targetId)} 🗑️`, logFields);
+        } catch (e) {
+            logger.warn('sync', `Could not delete copy in ${getGroupName(copy.targetId)}`, { ...logFields, error: e });
+        }
+    }
+    messageMap.remove(sourceMsgId);
+};
+
+const handleEdit = async (account, msg, newBody, prevBody) => {
+    const copies = getSyncedCopies(account, msg.id._serialized, 'syncEdits');
+    if (copies.length === 0) return;
+
+    logger.debug('sync', `Source message edited, updating ${copies.length} copies`, { account: account.id, msgId: msg.id._serialized });
+    let chat = null;
+    try { chat = await msg.getChat(); } catch (e) { }
+
+    for (const copy of copies) {
+        const logFields = { account: copy.account, rule: copy.rule, group: copy.targetId, msgId: msg.id._serialized };
+        try {
+            const rule = findRule(copy.rule);
+            // Same rewriting as the original send
+            const text = rule.caption && chat
+                ? buildCaption(rule.caption, newBody, await getCaptionContext(msg, chat), ruleLog(rule))
+                : newBody;
+
+            const copyMsg = await getCopyMessage(copy);
+            const edited = await copyMsg.edit(text);
+            // WhatsApp only allows edits for a short while after sending
+            if (!edited) throw new Error('WhatsApp refused the edit (too old or not editable)');
+            logger.info('sync', `Source edited: updated copy in ${getGroupName(copy.targetId)} ✏️`, logFields);
+        } catch (e) {
+            logger.warn('sync', `Could not edit copy in ${getGroupName(copy.targetId)}`, { ...logFields, error: e });
+        }
+    }
+};
+
+// Media left behind by a crash: the cache directory, and temp files older versions wrote into public/
+const sweepMedia = async () => {
+    await mediaCache.sweep();
+    const publicDir = path.join(__dirname, 'public');
+    const leftovers = (await fsp.readdir(publicDir)).filter(f => /^temp_\d+/.test(f));
+    await Promise.all(leftovers.map(f => fsp.rm(path.join(publicDir, f), { force: true })));
+    if (leftovers.length > 0) logger.info('media', `Removed ${leftovers.length} old temp file(s) from public/`);
+};
+
+sweepMedia().catch(e => logger.error('media', 'Could not clean up leftover media', { error: e }));
+moderation.start();
+queue.start();
+scheduler.start();
+config.accounts.forEach(startAccount);
 
 // API
+// ?account= to only list one account's groups
 app.get('/api/groups', (req, res) => {
-    res.json(availableGroups);
+    const groups = getAllGroups();
+    res.json(req.query.account ? groups.filter(g => g.account === req.query.account) : groups);
 });
 
+// Webhook secrets are for admins only
 app.get('/api/config', (req, res) => {
-    res.json(config);
+    if (req.user.role === 'admin') return res.json(config);
+    const { webhooks: hidden, ...visible } = config;
+    res.json(visible);
 });
 
+// What rules are checked against: our accounts, and the group IDs each can see
+// (null while an account's groups haven't loaded, so they can't be checked yet)
+const getKnownChats = () => ({
+    accountIds: [...accounts.keys()],
+    getChatIds: (accountId) => {
+        const account = getAccount(accountId);
+        return account && account.groups.length > 0 ? new Set(account.groups.map(g => g.id)) : null;
+    }
+});
+
+// Content must not be able to come back around to where it started unless a hop limit stops it
+const checkRuleCycle = (rules, rule) => {
+    if (rule.enabled === false || rule.maxHops) return null;
+    const cycle = loopGuard.findCycle(rules.filter(r => r.enabled !== false), rule);
+    return cycle ? `This rule creates a forwarding loop (${cycle.map(getGroupName).join(' → ')}). Set a hop limit to allow it.` : null;
+};
+
+// Chats are only checked when they change or the rule is switched on, so a rule whose chat
+// went away can still be renamed or disabled
+const sameChats = (a, b) => a.source === b.source &&
+    (a.sourceAccount || DEFAULT_ACCOUNT) === (b.sourceAccount || DEFAULT_ACCOUNT) &&
+    (a.targetAccount || DEFAULT_ACCOUNT) === (b.targetAccount || DEFAULT_ACCOUNT) &&
+    Array.isArray(a.targets) && a.targets.length === b.targets.length && a.targets.every(t => b.targets.includes(t));
+
+// Validate, loop-check and store a rule (replacing the one with the same ID if there is one)
+const saveRule = (input, res) => {
+    const existing = input && input.id ? findRule(input.id) : null;
+    const skipChatCheck = input && (input.enabled === false || (existing && existing.enabled !== false && sameChats(input, existing)));
+    const known = skipChatCheck ? { ...getKnownChats(), getChatIds: () => null } : getKnownChats();
+
+    let rule;
+    try {
+        rule = validateRule(input, known);
+    } catch (e) {
+        return res.status(400).json({ error: e.message, details: e.details });
+    }
+
+    const cycleError = checkRuleCycle(config.rules.filter(r => r.id !== rule.id), rule);
+    if (cycleError) return res.status(400).json({ error: cycleError });
+
+    const index = config.rules.findIndex(r => r.id === rule.id);
+    if (index === -1) {
+        config.rules.push(rule);
+    } else {
+        config.rules[index] = rule;
+    }
+    saveConfig();
+    checkRules();
+    res.json({ success: true, rule, config, warnings: getRuleProblems(rule) });
+};
+
 app.post('/api/config/rules', (req, res) => {
-    const newRule = req.body;
-    // validation could be added here
-    config.rules.push(newRule);
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+    const body = req.body || {};
+    if (body.id && findRule(body.id)) {
+        return res.status(409).json({ error: `A rule with ID ${body.id} already exists` });
+    }
+    saveRule(body, res);
+});
+
+// Replace a rule
+app.put('/api/config/rules/:id', (req, res) => {
+    if (!findRule(req.params.id)) return res.status(404).json({ error: 'Rule not found' });
+    saveRule({ ...(req.body || {}), id: req.params.id }, res);
+});
+
+// Change some fields of a rule, e.g. { "enabled": false } (null clears an optional field)
+app.patch('/api/config/rules/:id', (req, res) => {
+    const rule = findRule(req.params.id);
+    if (!rule) return res.status(404).json({ error: 'Rule not found' });
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return res.status(400).json({ error: 'Body must be a JSON object' });
+    }
+
+    const merged = { ...rule, ...req.body, id: rule.id };
+    Object.keys(merged).forEach(key => merged[key] === null && delete merged[key]);
+    saveRule(merged, res);
+});
+
+app.delete('/api/config/rules/:id', (req, res) => {
+    const index = config.rules.findIndex(r => r.id === req.params.id);
+    if (index === -1) return res.status(404).json({ error: 'Rule not found' });
+    config.rules.splice(index, 1);
+    saveConfig();
+    checkRules();
     res.json({ success: true, config });
 });
 
-app.delete('/api/config/rules/:index', (req, res) => {
-    const index = parseInt(req.params.index);
-    if (index >= 0 && index < config.rules.length) {
-        config.rules.splice(index, 1);
-        fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
-        res.json({ success: true, config });
+// Replay past messages of the rule's source: { targets (default all), since, until (date or ms), limit }
+// At least a date or a count is needed. Progress comes on the 'backfills' socket event and GET /api/backfills.
+app.post('/api/config/rules/:id/backfill', (req, res) => {
+    const rule = findRule(req.params.id);
+    if (!rule) return res.status(404).json({ error: 'Rule not found' });
+    // Thousands of old messages would each need an approval
+    if (rule.moderated) return res.status(400).json({ error: 'Moderated rules cannot be backfilled' });
+    const body = req.body || {};
+    const details = [];
+
+    const targets = body.targets === undefined ? rule.targets : body.targets;
+    if (!Array.isArray(targets) || targets.length === 0) {
+        details.push('targets must be a non-empty list');
+    } else if (targets.some(t => !rule.targets.includes(t))) {
+        details.push('targets must be targets of the rule');
+    }
+
+    const toTime = (key) => {
+        if (body[key] === undefined || body[key] === null || body[key] === '') return undefined;
+        const time = new Date(body[key]).getTime();
+        if (Number.isNaN(time)) details.push(`${key} must be a date`);
+        return time;
+    };
+    const since = toTime('since');
+    const until = toTime('until');
+    if (since && until && since > until) details.push('since must be before until');
+
+    const limit = body.limit === undefined || body.limit === null ? undefined : body.limit;
+    if (limit !== undefined && !(Number.isInteger(limit) && limit > 0 && limit <= BACKFILL_MAX_MESSAGES)) {
+        details.push(`limit must be a whole number from 1 to ${BACKFILL_MAX_MESSAGES}`);
+    }
+    if (!since && !until && !limit) details.push('give a date range (since/until) or a limit');
+
+    if (details.length > 0) return res.status(400).json({ error: `Invalid backfill: ${details.join('; ')}`, details });
+
+    const backfill = backfills.start({ rule: rule.id, targets: [...new Set(targets)], since, until, limit });
+    logger.info('backfill', `Backfill of ${describeRule(rule)} started by ${req.user.name}`, { rule: rule.id, group: rule.source });
+    res.status(202).json({ success: true, backfill });
+});
+
+// Moderation: messages of moderated rules waiting for approval, and the latest decisions
+app.get('/api/moderation', (req, res) => {
+    res.json({ items: moderation.items(), decisions: moderation.decisions() });
+});
+
+// The held media itself, for previews on the dashboard
+// The MIME type comes from whoever posted the file, so only plain pictures and videos are shown
+// inline; anything else (SVG, HTML, ...) could run script on the dashboard's origin
+const PREVIEW_KINDS = ['image', 'sticker', 'video'];
+const PREVIEW_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'video/mp4', 'video/3gpp', 'video/quicktime', 'video/webm'];
+
+app.get('/api/moderation/:id/preview', async (req, res) => {
+    const item = moderation.get(req.params.id);
+    if (!item) return res.status(404).json({ error: 'Nothing waiting for approval with that ID' });
+    if (!PREVIEW_KINDS.includes(item.kind)) return res.status(404).json({ error: `No preview for a ${item.kind}` });
+
+    const key = cacheKey(item.sourceAccount, item.msgId);
+    try {
+        const cached = await mediaCache.acquire(key, async () => {
+            const msg = await getJobAccount(item.sourceAccount).client.getMessageById(item.msgId);
+            if (!msg) throw new Error('Source message is no longer available');
+            return msg.downloadMedia();
+        });
+        res.set('X-Content-Type-Options', 'nosniff');
+        if (PREVIEW_MIME_TYPES.includes(cached.mime.split(';')[0].trim().toLowerCase())) {
+            res.type(cached.mime);
+        } else {
+            res.type('application/octet-stream');
+            res.attachment();
+        }
+        res.sendFile(cached.filePath, () => mediaCache.release(key));
+    } catch (e) {
+        res.status(502).json({ error: e.message });
+    }
+});
+
+// { caption } replaces the caption (or text) before it goes out
+app.post('/api/moderation/:id/approve', (req, res) => {
+    const item = moderation.get(req.params.id);
+    if (!item) return res.status(404).json({ error: 'Nothing waiting for approval with that ID' });
+    const caption = (req.body || {}).caption;
+    if (caption !== undefined && (typeof caption !== 'string' || !CAPTION_KINDS.includes(item.kind))) {
+        return res.status(400).json({ error: CAPTION_KINDS.includes(item.kind) ? 'caption must be a string' : `A ${item.kind} has no caption` });
+    }
+
+    const originalCaption = item.caption;
+    const approved = moderation.decide(item.id, 'approved', req.user.name, caption);
+    const rule = findRule(approved.rule);
+    logger.info('moderation', `${approved.kind} approved by ${req.user.name}${approved.caption !== originalCaption ? ' (caption edited)' : ''} ✅`, { account: approved.sourceAccount, rule: approved.rule, group: approved.sourceId, msgId: approved.msgId });
+    approved.jobs.forEach(job => dispatchJob(job, rule));
+    res.json({ success: true, item: approved });
+});
+
+app.post('/api/moderation/:id/reject', (req, res) => {
+    const rejected = moderation.decide(req.params.id, 'rejected', req.user.name);
+    if (!rejected) return res.status(404).json({ error: 'Nothing waiting for approval with that ID' });
+    // Let the same content through again later
+    rejected.jobs.forEach(job => loopGuard.unmarkDelivered(job.contentKey, job.targetId));
+    logger.info('moderation', `${rejected.kind} rejected by ${req.user.name} 🚫`, { account: rejected.sourceAccount, rule: rejected.rule, group: rejected.sourceId, msgId: rejected.msgId });
+    res.json({ success: true, item: rejected });
+});
+
+app.get('/api/backfills', (req, res) => {
+    res.json(backfills.list());
+});
+
+app.delete('/api/backfills/:id', (req, res) => {
+    const backfill = backfills.cancel(req.params.id);
+    if (!backfill) return res.status(404).json({ error: 'No running backfill with that ID' });
+    const rule = findRule(backfill.rule);
+    logger.info('backfill', `Backfill of ${rule ? describeRule(rule) : backfill.rule} cancelled by ${req.user.name}`, { rule: backfill.rule });
+    res.json({ success: true, backfill });
+});
+
+app.get('/api/config/export', auth.requireRole('admin'), (req, res) => {
+    res.setHeader('Content-Disposition', `attachment; filename="autoforwarder-config-${new Date().toISOString().slice(0, 10)}.json"`);
+    res.json(config);
+});
+
+// Accounts of an imported config that we don't have yet. Problems go into `details`.
+const validateImportedAccounts = (input, details) => {
+    if (!Array.isArray(input)) {
+        details.push('accounts must be a list');
+        return [];
+    }
+    const added = [];
+    input.forEach((def, i) => {
+        if (!def || typeof def.id !== 'string' || !ACCOUNT_ID_PATTERN.test(def.id)) {
+            details.push(`account ${i + 1}: ID may only use letters, numbers, _ and -`);
+        } else if (def.name !== undefined && typeof def.name !== 'string') {
+            details.push(`account ${i + 1}: name must be a string`);
+        } else if (!getAccount(def.id) && !added.some(a => a.id === def.id)) {
+            added.push({ id: def.id, name: (def.name || '').trim() || def.id });
+        }
+    });
+    return added;
+};
+
+// Body is a whole config ({ rules, settings, accounts, webhooks }). ?mode=merge keeps existing rules
+// and webhooks and adds/replaces by ID, the default replaces everything. Accounts are only ever
+// added (they start a session and wait for their QR code), remove one from the dashboard.
+app.post('/api/config/import', (req, res) => {
+    const body = req.body;
+    if (!body || typeof body !== 'object' || !Array.isArray(body.rules)) {
+        return res.status(400).json({ error: 'Expected a config object with a rules list' });
+    }
+    const merge = req.query.mode === 'merge';
+
+    const details = [];
+    const newAccounts = body.accounts !== undefined ? validateImportedAccounts(body.accounts, details) : [];
+
+    // Rules may use the accounts being imported; their chats can't be checked until they're linked
+    const known = getKnownChats();
+    known.accountIds.push(...newAccounts.map(a => a.id));
+
+    const imported = [];
+    body.rules.forEach((input, i) => {
+        try {
+            imported.push(validateRule(input, known));
+        } catch (e) {
+            details.push(`rule ${i + 1}: ${(e.details || [e.message]).join('; ')}`);
+        }
+    });
+
+    const ids = imported.map(r => r.id);
+    const duplicates = ids.filter((id, i) => ids.indexOf(id) !== i);
+    if (duplicates.length > 0) details.push(`duplicate rule ID(s) ${[...new Set(duplicates)].join(', ')}`);
+
+    const settings = body.settings !== undefined ? validateSettings(body.settings, details) : {};
+
+    const webhooks = [];
+    if (body.webhooks !== undefined && !Array.isArray(body.webhooks)) {
+        details.push('webhooks must be a list');
     } else {
-        res.status(400).json({ error: 'Invalid index' });
+        (body.webhooks || []).forEach((input, i) => {
+            try {
+                webhooks.push(validateWebhook(input));
+            } catch (e) {
+                details.push(`webhook ${i + 1}: ${(e.details || [e.message]).join('; ')}`);
+            }
+        });
+    }
+    const hookIds = webhooks.map(h => h.id);
+    const duplicateHooks = hookIds.filter((id, i) => hookIds.indexOf(id) !== i);
+    if (duplicateHooks.length > 0) details.push(`duplicate webhook ID(s) ${[...new Set(duplicateHooks)].join(', ')}`);
+
+    if (details.length > 0) return res.status(400).json({ error: 'Invalid config', details });
+
+    const rules = merge ? config.rules.filter(r => !ids.includes(r.id)).concat(imported) : imported;
+
+    // Every rule has to pass the loop check against all the others
+    for (const rule of rules) {
+        const cycleError = checkRuleCycle(rules.filter(r => r !== rule), rule);
+        if (cycleError) return res.status(400).json({ error: `${describeRule(rule)}: ${cycleError}` });
+    }
+
+    config.rules = rules;
+    if (merge) {
+        config.settings = { ...(config.settings || {}), ...settings };
+        config.webhooks = (config.webhooks || []).filter(h => !hookIds.includes(h.id)).concat(webhooks);
+    } else {
+        if (body.settings !== undefined) config.settings = settings;
+        if (body.webhooks !== undefined) config.webhooks = webhooks;
     }
+    config.accounts.push(...newAccounts);
+    saveConfig();
+    newAccounts.forEach(def => {
+        const account = startAccount(def);
+        logger.info('connection', `Account added by ${req.user.name} (config import): ${account.name}`, { account: account.id });
+    });
+    io.emit('settings', getSettings());
+    checkRules();
+
+    logger.info('config', `Config imported by ${req.user.name}: ${imported.length} rule(s), ${webhooks.length} webhook(s), ${newAccounts.length} new account(s)${merge ? ' merged' : ''}`);
+    res.json({ success: true, config });
+});
+
+app.get('/api/settings', (req, res) => {
+    res.json(getSettings());
+});
+
+// Change some settings and keep the rest, e.g. { "dryRun": true }
+app.patch('/api/settings', (req, res) => {
+    const details = [];
+    const settings = validateSettings(req.body, details);
+    if (details.length > 0) return res.status(400).json({ error: 'Invalid settings', details });
+
+    config.settings = { ...(config.settings || {}), ...settings };
+    saveConfig();
+    io.emit('settings', getSettings());
+    if ('dryRun' in settings) logger.warn('config', `Dry run switched ${settings.dryRun ? 'on' : 'off'} by ${req.user.name}`);
+    res.json({ success: true, settings: getSettings() });
 });
 
+// Which rules a sample message would match and what each target would get. Nothing is sent.
+// Body: { type: 'image', mime, size, caption, sender, source, account }
+// Add `rule` to try an unsaved rule instead of the saved ones for the source.
+app.post('/api/rules/test', (req, res) => {
+    const body = req.body || {};
+    const details = [];
+    if (!MESSAGE_TYPES.includes(body.type)) details.push(`type must be one of ${MESSAGE_TYPES.join(', ')}`);
+    for (const key of ['source', 'account', 'mime', 'caption', 'sender']) {
+        if (body[key] !== undefined && typeof body[key] !== 'string') details.push(`${key} must be a string`);
+    }
+    if (body.size !== undefined && !(typeof body.size === 'number' && body.size >= 0)) details.push('size must be a number of bytes');
+
+    let rules = null;
+    if (body.rule !== undefined) {
+        try {
+            rules = [validateRule(body.rule, null)];
+        } catch (e) {
+            details.push(...(e.details || [e.message]).map(d => `rule: ${d}`));
+        }
+    } else if (!body.source) {
+        details.push('give a source group or a rule');
+    }
+    if (details.length > 0) return res.status(400).json({ error: 'Invalid test message', details });
+
+    const source = body.source || rules[0].source;
+    if (!rules) {
+        rules = config.rules.filter(r => r.source === source && (!body.account || (r.sourceAccount || DEFAULT_ACCOUNT) === body.account));
+    }
+
+    const caption = body.caption || '';
+    const sender = (body.sender || '').split('@')[0];
+    const filterInfo = { caption, sender: body.sender || '', mime: body.mime || '', size: body.size };
+    const context = { sender, senderName: sender, sourceGroup: getGroupName(source), time: new Date().toLocaleString() };
+    const now = Date.now();
+
+    const results = rules.map(rule => {
+        const reason = getRuleTypes(rule).includes(body.type)
+            ? checkFilters(rule.filters, filterInfo, ruleLog(rule))
+            : `${body.type} is not enabled for this rule`;
+        const result = {
+            rule: rule.id,
+            name: describeRule(rule),
+            enabled: rule.enabled !== false,
+            dryRun: isDryRun(rule),
+            moderated: Boolean(rule.moderated),
+            matched: !reason,
+            reason: reason,
+            targets: []
+        };
+        if (reason) return result;
+
+        const hasCaption = CAPTION_KINDS.includes(body.type);
+        const text = hasCaption && rule.caption ? buildCaption(rule.caption, caption, context, ruleLog(rule)) : caption;
+        const releaseAt = rule.schedule ? getReleaseTime(rule.schedule, now) : now;
+        result.targets = rule.targets.filter(t => t !== source).map(targetId => ({
+            id: targetId,
+            name: getGroupName(targetId),
+            account: rule.targetAccount || DEFAULT_ACCOUNT,
+            caption: hasCaption ? text : null,
+            skipped: body.type === 'text' && !text.trim() ? 'empty after rewrite' : null,
+            media: rule.media || null,
+            releaseAt: releaseAt > now ? releaseAt : null,
+            digest: Boolean(rule.schedule && rule.schedule.digestMinutes)
+        }));
+        return result;
+    });
+
+    res.json({ source: { id: source, name: getGroupName(source) }, rules: results });
+});
+
+// ?account= to refresh one account, otherwise every connected one
 app.post('/api/groups/refresh', async (req, res) => {
-    if (client && client.info) { // checks if connected
+    const targets = req.query.account ? [getAccount(req.query.account)].filter(Boolean) : [...accounts.values()];
+    const ready = targets.filter(a => a.client.info); // checks if connected
+    if (ready.length === 0) {
+        return res.json({ success: false, message: 'Client not ready' });
+    }
+
+    try {
+        logger.info('connection', `Manual group refresh requested by ${req.user.name}`);
+        let count = 0;
+        for (const account of ready) {
+            const { all } = await readGroups(account);
+            setGroups(account, all);
+            count += all.length;
+        }
+        res.json({ success: true, count: count });
+    } catch (e) {
+        logger.error('connection', 'Manual group refresh failed', { error: e });
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.get('/api/accounts', (req, res) => {
+    res.json([...accounts.values()].map(describeAccount));
+});
+
+// { id, name } - starts a new session, scan its QR code from the dashboard
+app.post('/api/accounts', (req, res) => {
+    const { id, name } = req.body || {};
+    if (typeof id !== 'string' || !ACCOUNT_ID_PATTERN.test(id)) {
+        return res.status(400).json({ error: 'Account ID may only use letters, numbers, _ and -' });
+    }
+    if (name !== undefined && typeof name !== 'string') {
+        return res.status(400).json({ error: 'name must be a string' });
+    }
+    if (getAccount(id)) return res.status(409).json({ error: `Account ${id} already exists` });
+
+    const def = { id, name: (name || '').trim() || id };
+    config.accounts.push(def);
+    saveConfig();
+    const account = startAccount(def);
+    logger.info('connection', `Account added by ${req.user.name}: ${account.name}`, { account: account.id });
+    res.json({ success: true, account: describeAccount(account) });
+});
+
+// Stops the session and forgets the account; its login stays on disk so re-adding the same ID reconnects
+app.delete('/api/accounts/:id', async (req, res) => {
+    const account = getAccount(req.params.id);
+    if (!account) return res.status(404).json({ error: 'Account not found' });
+    if (account.id === DEFAULT_ACCOUNT) return res.status(400).json({ error: 'The default account cannot be removed' });
+
+    const usedBy = config.rules.filter(r => r.sourceAccount === account.id || r.targetAccount === account.id);
+    if (usedBy.length > 0) {
+        return res.status(409).json({ error: `Account is used by ${usedBy.length} rule(s): ${usedBy.map(describeRule).join(', ')}` });
+    }
+
+    config.accounts = config.accounts.filter(a => a.id !== account.id);
+    saveConfig();
+    await stopAccount(account);
+    logger.info('connection', `Account removed by ${req.user.name}: ${account.name}`, { account: account.id });
+    res.json({ success: true });
+});
+
+// Log the device out and show a fresh QR code, e.g. to move to another phone
+app.post('/api/accounts/:id/relink', async (req, res) => {
+    const account = getAccount(req.params.id);
+    if (!account) return res.status(404).json({ error: 'Account not found' });
+
+    logger.info('connection', `Re-linking device (requested by ${req.user.name})...`, { account: account.id });
+    account.isReconnecting = true;
+    updateStatus(account, 'Disconnected');
+    try {
+        await account.client.logout();
+    } catch (e) {
+        logger.warn('connection', 'Logout failed, destroying client instead', { account: account.id, error: e });
+        try { await account.client.destroy(); } catch (err) { }
+    }
+    setGroups(account, []);
+    setTimeout(() => initializeClient(account), 3000);
+    res.json({ success: true });
+});
+
+// Sessions backed up before a reset (see lib/session_backups.js), newest first
+app.get('/api/accounts/:id/session-backups', auth.requireRole('admin'), (req, res) => {
+    const account = getAccount(req.params.id);
+    if (!account) return res.status(404).json({ error: 'Account not found' });
+    res.json({ backups: sessionBackups.list(account.id) });
+});
+
+// Put a backed up session back in place and reconnect with it. The current session is backed up first.
+app.post('/api/accounts/:id/session-backups/:backup/restore', async (req, res) => {
+    const account = getAccount(req.params.id);
+    if (!account) return res.status(404).json({ error: 'Account not found' });
+    if (!sessionBackups.list(account.id).some(b => b.id === req.params.backup)) {
+        return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    logger.info('connection', `Restoring session backup ${req.params.backup} (requested by ${req.user.name})...`, { account: account.id });
+    account.isReconnecting = true;
+    updateStatus(account, 'Disconnected');
+    // Chrome has to let go of the session folder before it's replaced
+    try { await account.client.destroy(); } catch (e) { }
+
+    let error = null;
+    try {
+        const previous = sessionBackups.restore(account.id, req.params.backup);
+        if (previous) logger.info('connection', `Previous session backed up to ${path.relative(__dirname, previous.path)}`, { account: account.id });
+    } catch (e) {
+        error = e;
+        logger.error('connection', 'Restoring the session backup failed', { account: account.id, error: e });
+    }
+
+    account.initFailures = 0;
+    account.sessionErrors = 0;
+    setGroups(account, []);
+    setTimeout(() => initializeClient(account), 3000);
+    if (error) return res.status(error.status || 500).json({ error: error.message });
+    res.json({ success: true });
+});
+
+// Webhooks (see lib/webhooks.js), secrets are never sent back
+const describeWebhook = (hook) => ({ ...hook, secret: undefined, hasSecret: Boolean(hook.secret) });
+
+app.get('/api/webhooks', auth.requireRole('admin'), (req, res) => {
+    res.json({ events: WEBHOOK_EVENTS, webhooks: (config.webhooks || []).map(describeWebhook) });
+});
+
+const saveWebhook = (input, res) => {
+    let hook;
+    try {
+        hook = validateWebhook(input);
+    } catch (e) {
+        return res.status(400).json({ error: e.message, details: e.details });
+    }
+
+    config.webhooks = config.webhooks || [];
+    const index = config.webhooks.findIndex(h => h.id === hook.id);
+    if (index === -1) {
+        config.webhooks.push(hook);
+    } else {
+        config.webhooks[index] = hook;
+    }
+    saveConfig();
+    res.json({ success: true, webhook: describeWebhook(hook), webhooks: config.webhooks.map(describeWebhook) });
+};
+
+const findWebhook = (id) => (config.webhooks || []).find(h => h.id === id);
+
+app.post('/api/webhooks', (req, res) => {
+    const { id, ...body } = req.body || {};
+    saveWebhook(body, res);
+});
+
+// Leaving out `secret` keeps the current one
+app.put('/api/webhooks/:id', (req, res) => {
+    const hook = findWebhook(req.params.id);
+    if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+    const body = req.body || {};
+    saveWebhook({ ...body, secret: body.secret === undefined ? hook.secret : body.secret, id: hook.id }, res);
+});
+
+app.delete('/api/webhooks/:id', (req, res) => {
+    if (!findWebhook(req.params.id)) return res.status(404).json({ error: 'Webhook not found' });
+    config.webhooks = config.webhooks.filter(h => h.id !== req.params.id);
+    saveConfig();
+    res.json({ success: true, webhooks: config.webhooks.map(describeWebhook) });
+});
+
+// Sends one signed "test" event, without retries
+app.post('/api/webhooks/:id/test', async (req, res) => {
+    const hook = findWebhook(req.params.id);
+    if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+    try {
+        await webhooks.test(hook);
+        res.json({ success: true });
+    } catch (e) {
+        res.status(502).json({ error: `Test delivery failed: ${e.message}` });
+    }
+});
+
+// Send API
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 64 * 1024 * 1024, files: 1 } });
+const uploadMedia = (req, res, next) => {
+    upload.single('media')(req, res, (err) => err ? res.status(400).json({ error: err.message }) : next());
+};
+
+// Push text or an uploaded file into groups, directly or to the targets of existing rules.
+// JSON or multipart/form-data (the file goes in the "media" field):
+//     text:    message, or the caption when there's a file
+//     targets: group IDs, sent from `account` (default account if unset)
+//     rules:   rule names or IDs, sent to each rule's targets from its targetAccount
+// Form fields may be repeated or comma separated. Responds with one result per target:
+// { success, results: [{ target, account, status: 'sent' | 'failed', messageId, error }] }
+app.post('/api/send', uploadMedia, async (req, res) => {
+    const body = req.body || {};
+    const toList = (value) => (Array.isArray(value) ? value : (value ? String(value).split(',') : []))
+        .map(v => String(v).trim())
+        .filter(Boolean);
+
+    const text = typeof body.text === 'string' ? body.text : '';
+    if (!text.trim() && !req.file) return res.status(400).json({ error: 'Send needs text or a media file' });
+
+    const accountId = body.account || DEFAULT_ACCOUNT;
+    if (!getAccount(accountId)) return res.status(400).json({ error: `Unknown account ${accountId}` });
+
+    // Each group once per sending account, even when several rules point at it
+    const destinations = new Map();
+    const addDestination = (target, account) => destinations.set(`${account}|${target}`, { target, account });
+
+    toList(body.targets).forEach(target => addDestination(target, accountId));
+    const unknownRules = [];
+    toList(body.rules).forEach(ref => {
+        const rule = config.rules.find(r => r.id === ref || r.name === ref);
+        if (!rule) return unknownRules.push(ref);
+        rule.targets.forEach(target => addDestination(target, rule.targetAccount || DEFAULT_ACCOUNT));
+    });
+    if (unknownRules.length > 0) return res.status(400).json({ error: `Unknown rule(s): ${unknownRules.join(', ')}` });
+    if (destinations.size === 0) return res.status(400).json({ error: 'Give at least one target group or rule' });
+
+    const media = req.file
+        ? new MessageMedia(req.file.mimetype, req.file.buffer.toString('base64'), req.file.originalname)
+        : null;
+
+    const results = [];
+    for (const { target, account } of destinations.values()) {
+        const sender = getAccount(account);
         try {
-            console.log('Manual group refresh requested');
-            const chats = await client.getChats();
-            availableGroups = chats
-                .filter(chat => chat.isGroup)
-                .map(chat => ({ id: chat.id._serialized, name: chat.name }));
-            io.emit('groups', availableGroups);
-            res.json({ success: true, count: availableGroups.length });
+            if (!isAccountReady(sender)) throw new Error(`Account ${account} is not connected`);
+            const sent = await loopGuard.trackInflight(target, media
+                ? sender.client.sendMessage(target, media, { caption: text || undefined })
+                : sender.client.sendMessage(target, text));
+            if (!sent) throw new Error('WhatsApp did not send the message (no message came back)');
+            markSent();
+            results.push({ target, account, status: 'sent', messageId: sent.id._serialized });
         } catch (e) {
-            console.error(e);
-            res.status(500).json({ error: e.message });
+            logger.error('api', `API send to ${getGroupName(target)} failed`, { account, group: target, error: e });
+            results.push({ target, account, status: 'failed', error: e.message });
         }
+    }
+
+    const sentCount = results.filter(r => r.status === 'sent').length;
+    logger.info('api', `API send (${req.user.name}): ${media ? 'media' : 'text'} to ${sentCount}/${results.length} group(s)`);
+    res.status(sentCount > 0 ? 200 : 502).json({ success: sentCount === results.length, results });
+});
+
+app.get('/api/queue', (req, res) => {
+    res.json(queue.summary());
+});
+
+app.get('/api/scheduled', (req, res) => {
+    res.json(scheduler.items());
+});
+
+app.post('/api/queue/:id/retry', (req, res) => {
+    if (queue.retry(req.params.id)) {
+        res.json({ success: true });
+    } else {
+        res.status(404).json({ error: 'No failed job with that ID' });
+    }
+});
+
+app.delete('/api/queue/:id', (req, res) => {
+    const job = queue.discard(req.params.id);
+    if (job) {
+        loopGuard.unmarkDelivered(job.contentKey, job.targetId);
+        res.json({ success: true });
     } else {
-        res.json({ success: false, message: 'Client not ready' });
+        res.status(404).json({ error: 'No such job (or it is being sent right now)' });
     }
 });
 
+// ?rule=&group=&status=&from=&to=&page=&limit=  (from/to: anything Date can parse), &format=csv for a download
+app.get('/api/history', (req, res) => {
+    const toTime = (value) => {
+        if (!value) return undefined;
+        const time = new Date(value).getTime();
+        return Number.isNaN(time) ? undefined : time;
+    };
+
+    const records = history.query({
+        rule: req.query.rule,
+        group: req.query.group,
+        status: req.query.status,
+        from: toTime(req.query.from),
+        to: toTime(req.query.to)
+    });
+
+    if (req.query.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', 'attachment; filename="forwarding-history.csv"');
+        return res.send(toCsv(records));
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    res.json({
+        total: records.length,
+        page: page,
+        limit: limit,
+        records: records.slice((page - 1) * limit, page * limit)
+    });
+});
+
+// Health checks for Docker / load balancers, no login needed
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Ready once every account is logged in (client.info set) and has loaded its groups
+app.get('/readyz', (req, res) => {
+    if (shuttingDown) return res.status(503).json({ status: 'shutting down' });
+    const details = [...accounts.values()].map(account => ({
+        id: account.id,
+        status: account.status,
+        loggedIn: Boolean(account.client.info),
+        groupsLoaded: account.groups.length > 0
+    }));
+    const ready = details.every(a => a.loggedIn && a.groupsLoaded);
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', accounts: details });
+});
+
+// Prometheus scrape target, use an API token (Authorization: Bearer ...)
+app.get('/metrics', auth.requireRole('viewer'), (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(metrics.render());
+});
+
 const PORT = 3001;
 server.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
+    logger.info('system', `Server running on http://localhost:${PORT}`);
 });
+
+// Graceful shutdown (docker stop, Ctrl+C): stop taking new messages, let the messages being
+// handled reach the queue and the send in progress finish, then close the browsers cleanly so
+// their sessions are written to disk. Queued jobs stay in data/queue.json for the next start.
+// SHUTDOWN_TIMEOUT_SECONDS (default 25) caps the wait, keep it below Docker's stop timeout.
+const SHUTDOWN_TIMEOUT_MS = (parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS) || 25) * 1000;
+
+const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('system', `${signal} received, shutting down...`);
+    setTimeout(() => {
+        logger.error('system', `Shutdown took longer than ${SHUTDOWN_TIMEOUT_MS / 1000}s, exiting anyway`);
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    scheduler.stop();
+    await Promise.all([queue.stop(), ...sourceChains.values()]);
+    messageMap.flush();
+
+    for (const account of accounts.values()) {
+        try { await account.client.destroy(); } catch (e) { logger.error('connection', 'Error destroying client', { account: account.id, error: e }); }
+    }
+
+    io.close(); // closes the HTTP server too
+    logger.info('system', 'Shutdown complete');
+    process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));